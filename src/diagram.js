@@ -0,0 +1,133 @@
+/**
+ * Renders pipeline graphs as diagram source. A graph (see getPipelineGraph in processor.js) is:
+ *
+ *      - {string} title - the process name
+ *      - {Array<object>} nodes - { id, label, kind, runIf, problems } where kind is 'start', 'end', 'processor', 'branch', or 'invalid', and problems are any config errors for it
+ *      - {Array<object>} groups - { id, label, nodeIds } for parallel groups, races, and each steps
+ *      - {Array<object>} edges - { from, to, kind, label } where kind is 'next', 'route' (labeled with the route key), or 'prerequisite'
+ */
+
+/** Gets the text shown for a node. */
+const getNodeText = node => {
+    const text = node.runIf ? `${node.label} (runIf)` : node.label;
+    return node.problems && node.problems.length > 0 ? `${text}: ${node.problems.join(' ')}` : text;
+}
+
+/** Gets if the given node should be shown as a config problem. */
+const isInvalid = node => node.kind === 'invalid' || (node.problems && node.problems.length > 0);
+
+/** Escapes text for a quoted Mermaid label. */
+const mermaidText = text => `"${String(text).replace(/"/g, '#quot;')}"`;
+
+const MERMAID_SHAPES = {
+    start: text => `([${text}])`,
+    end: text => `([${text}])`,
+    branch: text => `{${text}}`,
+};
+
+const MERMAID_EDGES = {
+    next: '-->',
+    route: '-->',
+    prerequisite: '-.->',
+};
+
+/**
+ * Gets Mermaid flowchart source for the given graph.
+ *
+ * @param {object} graph - pipeline graph
+ * @returns {string}
+ */
+const toMermaid = (graph) => {
+    const lines = ['flowchart TD'];
+    const grouped = graph.groups.reduce((ids, group) => ids.concat(group.nodeIds), []);
+    const nodeLine = (node, indent) => {
+        const text = mermaidText(getNodeText(node));
+        return `${indent}${node.id}${MERMAID_SHAPES[node.kind] ? MERMAID_SHAPES[node.kind](text) : `[${text}]`}`;
+    }
+
+    graph.nodes.filter(node => !grouped.includes(node.id)).forEach(node => lines.push(nodeLine(node, '    ')));
+    graph.groups.forEach(group => {
+        lines.push(`    subgraph ${group.id} [${mermaidText(group.label)}]`);
+        group.nodeIds.forEach(id => lines.push(nodeLine(graph.nodes.find(node => node.id === id), '        ')));
+        lines.push('    end');
+    });
+    graph.edges.forEach(edge => {
+        const label = edge.label !== undefined ? `|${mermaidText(edge.label)}|` : '';
+        lines.push(`    ${edge.from} ${MERMAID_EDGES[edge.kind]}${label} ${edge.to}`);
+    });
+
+    const runIfIds = graph.nodes.filter(node => node.runIf).map(node => node.id);
+    const invalidIds = graph.nodes.filter(isInvalid).map(node => node.id);
+    if (runIfIds.length > 0) {
+        lines.push('    classDef runIf stroke-dasharray: 5 5');
+        lines.push(`    class ${runIfIds.join(',')} runIf`);
+    }
+    if (invalidIds.length > 0) {
+        lines.push('    classDef invalid fill:#fdd,stroke:#c00,color:#c00');
+        lines.push(`    class ${invalidIds.join(',')} invalid`);
+    }
+
+    return lines.join('\n');
+}
+
+/** Escapes text for a quoted DOT string. */
+const dotText = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/** Gets the DOT attributes for a node. */
+const getDotNodeAttributes = node => {
+    const attributes = [`label=${dotText(getNodeText(node))}`];
+    if (node.kind === 'start' || node.kind === 'end') {
+        attributes.push('shape=oval');
+    } else if (node.kind === 'branch') {
+        attributes.push('shape=diamond');
+    }
+    if (node.runIf) {
+        attributes.push('style=dashed');
+    }
+    if (isInvalid(node)) {
+        attributes.push('color=red', 'fontcolor=red');
+    }
+    return attributes.join(', ');
+}
+
+/** Gets the DOT attributes for an edge (if any). */
+const getDotEdgeAttributes = edge => {
+    const attributes = [];
+    if (edge.label !== undefined) {
+        attributes.push(`label=${dotText(edge.label)}`);
+    }
+    if (edge.kind === 'prerequisite') {
+        attributes.push('style=dashed', 'color=gray');
+    }
+    return attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+}
+
+/**
+ * Gets Graphviz DOT source for the given graph.
+ *
+ * @param {object} graph - pipeline graph
+ * @returns {string}
+ */
+const toDot = (graph) => {
+    const lines = [`digraph ${dotText(graph.title)} {`, '    node [shape=box];'];
+    const grouped = graph.groups.reduce((ids, group) => ids.concat(group.nodeIds), []);
+    const nodeLine = (node, indent) => `${indent}${node.id} [${getDotNodeAttributes(node)}];`;
+
+    graph.nodes.filter(node => !grouped.includes(node.id)).forEach(node => lines.push(nodeLine(node, '    ')));
+    graph.groups.forEach(group => {
+        lines.push(`    subgraph cluster_${group.id} {`);
+        lines.push(`        label=${dotText(group.label)};`);
+        lines.push('        style=dashed;');
+        group.nodeIds.forEach(id => lines.push(nodeLine(graph.nodes.find(node => node.id === id), '        ')));
+        lines.push('    }');
+    });
+    graph.edges.forEach(edge => lines.push(`    ${edge.from} -> ${edge.to}${getDotEdgeAttributes(edge)};`));
+    lines.push('}');
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    toMermaid,
+    toDot,
+}
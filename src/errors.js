@@ -21,6 +21,9 @@ const Errors = {
                 message: ex.message,
                 ex,
         }
+ *   - compensated {string[]} - names of processors whose compensate function ran successfully after the error, in the order they ran
+ *   - compensationErrors {object[]} - errors thrown by compensate functions, structured like errorsFromProcessors
+ *   - execution {object} - report of what ran in the failed run (see start in processor.js), when thrown from a run
  *
  * */
 class ProcessError extends Error {
@@ -35,6 +38,8 @@ class ProcessError extends Error {
             throw new Error(Errors.ErrorsFromProcesssorsNotArray(processName));
         }
         this.errorsFromProcessors = errorsFromProcessors;
+        this.compensated = [];
+        this.compensationErrors = [];
         this.isProcessError = true;
     }
 
@@ -0,0 +1,27 @@
+/**
+ * Creates a function that runs the async tasks given to it, but no more than the given number at once. The rest wait their turn, in order.
+ *
+ * @param {number} concurrency - max number of tasks to have running at once
+ * @returns {function} - (task: () => any) => Promise resolving/rejecting with the task's result
+ */
+const createLimiter = concurrency => {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) { return; }
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve().then(task).then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    }
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+module.exports = createLimiter;
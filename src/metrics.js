@@ -0,0 +1,199 @@
+/**
+ * Metrics for process runs, kept in memory and served in the Prometheus text format.
+ *
+ * Processes record into the default registry (exported as metrics) unless given their own with the metrics option (or false to not record).
+ */
+const isRealObj = require('./isRealObj');
+
+/** Error messages used for metrics validation. */
+const Errors = {
+    MetricsInvalid: (metrics) => `Metrics must be a registry from createMetricsRegistry, or false to not record metrics. Was: type ${typeof metrics}: ${metrics}`,
+    BucketsInvalid: (buckets) => `Metrics buckets must be a non-empty array of increasing numbers (seconds). Was: ${JSON.stringify(buckets)}`,
+}
+
+/** Latency histogram bucket upper bounds, in seconds. */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** The metrics we keep: name (without prefix) to type and help text. */
+const METRICS = {
+    process_runs_total: { type: 'counter', help: 'Process runs.' },
+    process_errors_total: { type: 'counter', help: 'Process runs that had errors, by status code.' },
+    process_duration_seconds: { type: 'histogram', help: 'Process run duration in seconds.' },
+    processor_runs_total: { type: 'counter', help: 'Processor runs (including failed ones).' },
+    processor_errors_total: { type: 'counter', help: 'Processor errors, by status code.' },
+    processor_skips_total: { type: 'counter', help: 'Processors skipped, by reason.' },
+    processor_duration_seconds: { type: 'histogram', help: 'Processor run duration in seconds.' },
+}
+
+/** Execution report statuses for processors that started. */
+const STARTED_STATUSES = ['ran', 'failed', 'timed-out', 'lost'];
+
+const SKIP_REASONS = {
+    'skipped-runIf': 'runIf',
+    'skipped-prereq': 'prerequisite',
+    'skipped-stopped': 'stopped',
+};
+
+/** Gets the status code for an error: a ProcessorError's, or 500 for anything else. */
+const getErrorStatusCode = ex => (ex && ex.isProcessorError && ex.responseInfo.statusCode) || 500;
+
+/** Gets the status code for a failed run, like send would respond with: the most severe of its ProcessorErrors, if any; otherwise 500. */
+const getRunStatusCode = errors => {
+    const statusCodes = errors.filter(errInfo => errInfo.ex && errInfo.ex.isProcessorError).map(errInfo => getErrorStatusCode(errInfo.ex));
+    return statusCodes.length > 0 ? Math.max(...statusCodes) : 500;
+}
+
+/** Escapes a Prometheus label value. */
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/** Gets the Prometheus label set text for the given labels, e.g. '{process="Get Order"}'. */
+const formatLabels = labels => {
+    const keys = Object.keys(labels);
+    return keys.length > 0 ? `{${keys.map(key => `${key}="${escapeLabelValue(labels[key])}"`).join(',')}}` : '';
+}
+
+/** Gets a key for a label set, to find its series. */
+const getSeriesKey = labels => JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+
+/**
+ * Creates a registry to record process metrics in.
+ *
+ * @param {object} options - optional settings:
+ *      - {Array<number>} buckets - latency histogram bucket upper bounds, in seconds. Default: DEFAULT_BUCKETS
+ *      - {string} prefix - prefix for the metric names. Default: 'compozor_'
+ * @returns {object} - { recordRun, toPrometheus, use, reset }
+ */
+const createMetricsRegistry = (options = {}) => {
+    const { buckets = DEFAULT_BUCKETS, prefix = 'compozor_' } = options;
+    if (!(Array.isArray(buckets) && buckets.length > 0 && buckets.every((bound, i) => typeof bound === 'number' && (i === 0 || bound > buckets[i - 1])))) {
+        throw Error(Errors.BucketsInvalid(buckets));
+    }
+
+    /** metric name to map of series key to series */
+    let series = {};
+
+    const getSeries = (name, labels, createSeries) => {
+        const metricSeries = series[name] = series[name] || new Map();
+        const key = getSeriesKey(labels);
+        if (!metricSeries.has(key)) {
+            metricSeries.set(key, { labels, ...createSeries() });
+        }
+        return metricSeries.get(key);
+    }
+
+    const increment = (name, labels) => {
+        getSeries(name, labels, () => ({ value: 0 })).value++;
+    }
+
+    const observe = (name, labels, seconds) => {
+        const histogram = getSeries(name, labels, () => ({ bucketCounts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, i) => {
+            if (seconds <= bound) {
+                histogram.bucketCounts[i]++;
+            }
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    /**
+     * Records the metrics for a finished run.
+     *
+     * @param {object} execution - the execution report of the run (see start in processor.js)
+     * @param {Array<object>} errors - errors from the run, each { occurredIn, ex } like context.errors (empty if it went cleanly)
+     */
+    const recordRun = (execution, errors = []) => {
+        const process = execution.processName;
+        increment('process_runs_total', { process });
+        observe('process_duration_seconds', { process }, execution.duration / 1000);
+        if (errors.length > 0) {
+            increment('process_errors_total', { process, status_code: getRunStatusCode(errors) });
+        }
+
+        execution.processors.forEach(entry => {
+            const labels = { process, processor: entry.name };
+            if (SKIP_REASONS[entry.status]) {
+                increment('processor_skips_total', { ...labels, reason: SKIP_REASONS[entry.status] });
+                return;
+            }
+            if (!STARTED_STATUSES.includes(entry.status)) {
+                return;
+            }
+            increment('processor_runs_total', labels);
+            if (entry.duration !== undefined) {
+                observe('processor_duration_seconds', labels, entry.duration / 1000);
+            }
+            if (entry.status === 'failed' || entry.status === 'timed-out') {
+                increment('processor_errors_total', { ...labels, status_code: entry.statusCode || 500 });
+            }
+        });
+    }
+
+    /** Gets the Prometheus text lines for one metric's series. */
+    const formatSeries = (fullName, type, metricSeries) => {
+        const lines = [];
+        metricSeries.forEach(({ labels, value, bucketCounts, sum, count }) => {
+            if (type === 'counter') {
+                lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+                return;
+            }
+            buckets.forEach((bound, i) => lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${bucketCounts[i]}`));
+            lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${fullName}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+    }
+
+    /** Gets the metrics in the Prometheus text exposition format. */
+    const toPrometheus = () => Object.keys(METRICS).filter(name => series[name]).reduce((lines, name) => {
+        const fullName = prefix + name;
+        const { type, help } = METRICS[name];
+        return lines.concat(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`, ...formatSeries(fullName, type, series[name]));
+    }, []).map(line => line + '\n').join('');
+
+    /** Gets an Express-middleware-like handler that responds with the metrics, e.g. app.get('/metrics', metrics.use()). */
+    const use = () => (req, res) => {
+        if (typeof res.set === 'function') {
+            res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        } else if (typeof res.setHeader === 'function') {
+            res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        }
+        res.status(200).send(toPrometheus());
+    }
+
+    /** Clears all recorded metrics. */
+    const reset = () => {
+        series = {};
+    }
+
+    return {
+        recordRun,
+        toPrometheus,
+        use,
+        reset,
+    };
+}
+
+/** Checks the given metrics option (a registry, or false). Throws if invalid. */
+const checkMetrics = (metrics) => {
+    if (metrics !== false && !(isRealObj(metrics) && typeof metrics.recordRun === 'function')) {
+        throw Error(Errors.MetricsInvalid(metrics));
+    }
+}
+
+/** the registry processes record into by default */
+const metrics = createMetricsRegistry();
+
+module.exports = {
+    Errors,
+    DEFAULT_BUCKETS,
+    PROMETHEUS_CONTENT_TYPE,
+
+    createMetricsRegistry,
+    checkMetrics,
+    getErrorStatusCode,
+    metrics,
+}
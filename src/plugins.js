@@ -0,0 +1,86 @@
+const isRealObj = require('./isRealObj');
+
+/** Error messages used for plugin validation. */
+const Errors = {
+    PluginNotObject: (plugin) => `Plugins must be objects with a name and one or more hook functions. Was: type ${typeof plugin}: ${plugin}`,
+    PluginNameNotString: (plugin) => `Plugin 'name' must be a string. Was: type ${typeof plugin.name}: ${plugin.name}`,
+    HookNotFunction: (pluginName, hookName) => `Plugin '${pluginName}' hook '${hookName}' must be a function.`,
+}
+
+/**
+ * Hooks a plugin can provide. Each is called with a single info object, and can be async:
+ *
+ *      - beforeProcess({ processName, data, context }) - before the first step. Throw to stop the run (e.g., a ProcessorError with a 401).
+ *      - beforeProcessor({ processName, processorName, data, context }) - before a processor runs (after its runIf passes)
+ *      - afterProcessor({ processName, processorName, data, context, result, attempts }) - after a processor succeeds
+ *      - onProcessorError({ processName, processorName, data, context, error }) - when a processor fails. Return an error to use in place of the given one.
+ *      - onProcessorSkipped({ processName, processorName, data, context, reason, prerequisite }) - when a processor is skipped, with reason 'runIf' (its runIf was falsy) or 'prerequisite' (with the prerequisite that failed)
+ *      - afterProcess({ processName, data, context, errors, error }) - after the run, whether it succeeded or not (error is set if it failed)
+ *
+ * The data and context are the live objects the processor (or process) sees, so hooks can change them.
+ */
+const HOOK_NAMES = ['beforeProcess', 'beforeProcessor', 'afterProcessor', 'onProcessorError', 'onProcessorSkipped', 'afterProcess'];
+
+/** plugins registered for all processes */
+const globalPlugins = [];
+
+/** Validates the given plugin. Throws if invalid. */
+const checkPlugin = (plugin) => {
+    if (!isRealObj(plugin)) {
+        throw Error(Errors.PluginNotObject(plugin));
+    }
+    if (typeof plugin.name !== 'string') {
+        throw Error(Errors.PluginNameNotString(plugin));
+    }
+    const badHook = HOOK_NAMES.find(hookName => plugin[hookName] !== undefined && typeof plugin[hookName] !== 'function');
+    if (badHook) {
+        throw Error(Errors.HookNotFunction(plugin.name, badHook));
+    }
+}
+
+/**
+ * Registers a plugin to run for every process (before any given to compose), including processes composed before it was registered.
+ *
+ * @param {object} plugin - object with a name and any of the hooks in HOOK_NAMES
+ */
+const registerPlugin = (plugin) => {
+    checkPlugin(plugin);
+    if (!globalPlugins.includes(plugin)) {
+        globalPlugins.push(plugin);
+    }
+}
+
+/**
+ * Removes a plugin added with registerPlugin.
+ *
+ * @param {object|string} plugin - the plugin or its name
+ */
+const deregisterPlugin = (plugin) => {
+    const index = globalPlugins.findIndex(p => p === plugin || p.name === plugin);
+    if (index >= 0) {
+        globalPlugins.splice(index, 1);
+    }
+}
+
+/** Gets a copy of the list of globally registered plugins. */
+const getGlobalPlugins = () => [...globalPlugins];
+
+/** Runs the given hook of each of the plugins that have it, one after another, in order. */
+const runHooks = async (plugins, hookName, info) => {
+    for (const plugin of plugins) {
+        if (plugin[hookName]) {
+            await plugin[hookName](info);
+        }
+    }
+}
+
+module.exports = {
+    Errors,
+    HOOK_NAMES,
+
+    checkPlugin,
+    registerPlugin,
+    deregisterPlugin,
+    getGlobalPlugins,
+    runHooks,
+}
@@ -1,10 +1,19 @@
 const { error, warn, verbose } = require('./logging');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { sendOk, sendErrors } = require('./response');
 const isRealObj = require('./isRealObj');
+const createLimiter = require('./limiter');
 
-const { traceStart, traceEnd, traceWrite } = require('./timers');
+const { traceStart, traceEnd, traceWrite, createRunTracer } = require('./timers');
+const { createRetryPolicy, getRetryDelay, wait } = require('./retry');
+const { checkSchema, validate } = require('./schema');
+const { checkPlugin, getGlobalPlugins, runHooks } = require('./plugins');
+const diagram = require('./diagram');
+const { SPAN_ATTRIBUTES, SPAN_STATUS_CODES, checkTracer, getTracer, isNoopTracer, withSpan } = require('./tracing');
+const { checkMetrics, getErrorStatusCode, metrics: defaultMetrics } = require('./metrics');
 
 const { ProcessError, ProcessorError, InvalidProcessError } = require('./errors');
 
@@ -26,6 +35,134 @@ const Errors = {
     InvalidProcessorsPath: (processorsPath) => `Given processorsPath does not exist. Was: ${processorsPath}`,
     InvalidRequestObject: () => 'req parameter is required and should be a node/Express request object.',
     InvalidResponseObject: () => 'res parameter is required and should have a status and send function defined.',
+    TimeoutNotPositiveNumber: (name, timeout) => `Timeout for '${name}' must be a positive number of milliseconds. Was: type ${typeof timeout}: ${timeout}`,
+    ProcessorTimedOut: (processorName, timeout) => `Processor '${processorName}' timed out after ${timeout}ms.`,
+    DeadlineExceeded: (processName, deadline, stepName) => `Process '${processName}' exceeded its deadline of ${deadline}ms during step '${stepName}'.`,
+    NestedProcessFailed: (processName, failedIn) => `Nested process '${processName}' failed in: ${failedIn.join(',')}`,
+    InvalidNestedScope: (scope) => `Nested process scope must be one of ${JSON.stringify(NESTED_SCOPES)}. Was: ${scope}`,
+    NoProcessorsPath: (entry) => `Processor '${entry}' is a module name, but no processorsPath was given to find it in.`,
+    BranchSelectorNotFunction: (selector) => `Branch selector must be a function of (data, context) => key. Was: type ${typeof selector}`,
+    BranchRoutesNotObject: (routes) => `Branch routes must be an object mapping keys to sub-pipelines, with at least one route. Was: type ${typeof routes}: ${routes}`,
+    BranchInParallel: () => 'Branches cannot be part of a parallel group. Put the parallel group inside the branch routes instead.',
+    RaceEntryNotProcessor: () => 'Race entries must be processors (module names or processor objects), not parallel groups or other grouped steps.',
+    RaceInParallel: () => 'Races cannot be part of a parallel group.',
+    CompensateNotFunction: (processor) => `Processor compensate must be a function.   Was: type ${typeof processor.compensate}`,
+    CompensationFailed: (processorName, processName) => `Processor '${processorName}' failed to compensate after an error in process '${processName}'.`,
+    ProcessCancelled: (processName, stepName) => `Process '${processName}' was cancelled before step '${stepName}'.`,
+    ResponseClosed: (processName) => `Response for process '${processName}' closed before the process finished. Not sending.`,
+    ConcurrencyNotPositiveInt: (concurrency) => `Concurrency limit must be a positive integer. Was: type ${typeof concurrency}: ${concurrency}`,
+    EachPathInvalid: (itemsPath) => `Each path must be a string starting with 'data.' or 'context.'. Was: type ${typeof itemsPath}: ${itemsPath}`,
+    EachProcessorInvalid: () => 'Each processor must be a processor module name or processor object, not a grouped step.',
+    EachItemsNotArray: (itemsPath, items) => `Each expected an array at '${itemsPath}'. Was: type ${typeof items}: ${items}`,
+    EachInParallel: () => 'Each steps cannot be part of a parallel group.',
+    RetryingProcessor: (processorName, attempt, delay) => `Processor '${processorName}' failed on attempt ${attempt}. Retrying in ${delay}ms...`,
+    RetryStopped: (processorName, attempts) => `Processor '${processorName}' stopped retrying after ${attempts} attempt(s) because the run was stopped.`,
+    InvalidSchedule: (schedule) => `Process schedule must be one of ${JSON.stringify(SCHEDULES)}. Was: ${schedule}`,
+    InvalidRunIfMode: (name, runIfMode) => `runIfMode for '${name}' must be one of ${JSON.stringify(RUN_IF_MODES)}. Was: ${runIfMode}`,
+    RequireStatusCodeInvalid: (name, statusCode) => `requireStatusCode for '${name}' must be an HTTP error status code (400-599). Was: type ${typeof statusCode}: ${statusCode}`,
+    RequireMessageInvalid: (processor) => `Processor requireMessage must be a string or a function of (data, context) => string. Was: type ${typeof processor.requireMessage}`,
+    RequireNameInvalid: (processor) => `Processor requireName must be a non-empty string. Was: type ${typeof processor.requireName}: ${processor.requireName}`,
+    RequirementNotMet: (processorName, conditionName) => `Processor '${processorName}' requires '${conditionName}' to be met, but it was not.`,
+    ContractPathsInvalid: (name, key, paths) => `'${key}' for '${name}' must be an array of paths starting with 'data.' or 'context.'. Was: ${JSON.stringify(paths)}`,
+    UnmetReads: (unmetReads) => `Reads not written by an earlier step or provided by the starting context: ${unmetReads.join(',')}`,
+    UndeclaredWrites: (stepName, paths) => `Step '${stepName}' wrote to paths it did not declare in 'writes': ${paths.join(',')}`,
+    InvalidResponseSchemaMode: (mode) => `responseSchemaMode must be one of ${JSON.stringify(RESPONSE_SCHEMA_MODES)}. Was: ${mode}`,
+    ResponseInvalid: (processName, errors) => `Response data for process '${processName}' does not match its responseSchema: ${errors.map(err => `'${err.field}' ${err.message}`).join('; ')}`,
+    InvalidOnConflict: (onConflict) => `Isolated parallel onConflict must be one of ${JSON.stringify(MERGE_STRATEGIES)} or a function of (key, values) => value. Was: type ${typeof onConflict}: ${onConflict}`,
+    MergeConflict: (stepName, conflicts) => `Processors in '${stepName}' changed the same state: ${conflicts.map(c => `${c.key} (${c.processorNames.join(',')})`).join('; ')}`,
+    PluginsNotArray: (plugins) => `Plugins must be an array of plugin objects. Was: type ${typeof plugins}: ${plugins}`,
+    AfterProcessHookFailed: (pluginName, processName) => `Plugin '${pluginName}' afterProcess hook failed for process '${processName}'.`,
+    SkippedHookFailed: (pluginName, processorName, reason) => `Plugin '${pluginName}' onProcessorSkipped hook failed for processor '${processorName}' (skipped for reason '${reason}').`,
+    EventListenerFailed: (eventName, processName) => `Listener for '${eventName}' event of process '${processName}' failed.`,
+    MetricsRecordFailed: (processName) => `Recording metrics for process '${processName}' failed.`,
+    ParamsInvalid: (processName) => `Invalid parameters for process '${processName}'.`,
+    PrerequisiteCycle: (processorNames) => `Processor prerequisites form a cycle (or depend on one), so they cannot be scheduled: ${processorNames.join(',')}`,
+}
+
+const DEFAULT_TIMEOUT_STATUS_CODE = 504;
+
+/** Status for cancelled runs. Nobody is listening for the response by then, but 499 (client closed request) is the common convention. */
+const CANCELLED_STATUS_CODE = 499;
+
+/** Gets a new AbortController, if this version of Node has them. */
+const createAbortController = () => typeof AbortController === 'function' ? new AbortController() : undefined;
+
+/**
+ * Aborts the controller when the given signal aborts. Returns a function to stop following the signal.
+ *
+ * @param {AbortController} controller - controller to abort (may be undefined if not supported)
+ * @param {AbortSignal} signal - signal to follow (may be undefined)
+ */
+const followSignal = (controller, signal) => {
+    if (!controller || !signal) { return () => { }; }
+    const abort = () => controller.abort();
+    if (signal.aborted) {
+        abort();
+        return () => { };
+    }
+    signal.addEventListener('abort', abort, { once: true });
+    return () => signal.removeEventListener('abort', abort);
+}
+
+/** What to do when a processor's runIf is falsy: 'skip' the processor, or 'require' it and fail with a ProcessorError. */
+const RUN_IF_MODES = ['skip', 'require'];
+
+/** Status code for the ProcessorError raised when context.params do not match the paramsSchema. */
+const INVALID_PARAMS_STATUS_CODE = 400;
+
+/** What send does with response data properties that are not in the responseSchema: 'strip' them, or 'fail' the response. */
+const RESPONSE_SCHEMA_MODES = ['strip', 'fail'];
+
+/** Default status code for the ProcessorError raised when a required runIf is not met. */
+const DEFAULT_REQUIRE_STATUS_CODE = 400;
+
+/** Gets if the given status code can be used for an error response. */
+const isErrorStatusCode = statusCode => Number.isInteger(statusCode) && statusCode >= 400 && statusCode <= 599;
+
+/** How a nested process sees its parent's state. See asProcessor. */
+const NESTED_SCOPES = ['shared', 'isolated'];
+
+/** How a process can order all the modules in its processorsPath when no pipeline is given. See compose. */
+const SCHEDULES = ['parallel', 'prerequisites'];
+
+/** Context props that belong to a particular run, so they are never copied from a nested process back to its parent. */
+const RUN_CONTEXT_PROPS = ['processName', 'errors', 'signal', 'runId'];
+
+/**
+ * Events each composed process emits for its runs (listen with process.on). Every event has { runId, processName, timestamp, elapsed } (elapsed being ms since the run started), plus:
+ *
+ *      - processStart - { startingContext }
+ *      - processEnd - { ok, duration, error }
+ *      - stepStart - { stepName }
+ *      - stepEnd - { stepName, ok, duration }
+ *      - processorSkipped - { processorName, reason, prerequisite } where reason is 'runIf', 'prerequisite' (then prerequisite is the one that failed), or 'stopped' (the run stopped while it waited its turn in a concurrency-limited step)
+ *      - processorError - { processorName, error }
+ *      - cookiesReset - { processorName }
+ */
+const EVENT_NAMES = ['processStart', 'processEnd', 'stepStart', 'stepEnd', 'processorSkipped', 'processorError', 'cookiesReset'];
+
+/** Gets a new id for a run, so its events (and logs) can be told apart from other runs. */
+const createRunId = () => crypto.randomBytes(8).toString('hex');
+
+/** Gets if the given object is a process returned from compose. */
+const isComposedProcess = obj => isRealObj(obj) && obj.isComposedProcess === true;
+
+/** Gets if the given value is usable as a timeout, i.e., a positive number of ms. */
+const isValidTimeout = timeout => typeof timeout === 'number' && timeout > 0;
+
+/**
+ * Races the given result against a timer. If the timer wins, rejects with the error from getTimeoutError.
+ *
+ * @param {any} result - promise (or value) to wait on
+ * @param {number} timeout - ms to wait before giving up
+ * @param {function} getTimeoutError - called to get the error to reject with on timeout
+ */
+const withTimeout = (result, timeout, getTimeoutError) => {
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(getTimeoutError()), timeout);
+    });
+    return Promise.race([result, timeoutPromise]).finally(() => clearTimeout(timer)); // clear so a finished processor does not hold the event loop open
 }
 
 const mergeOptions = (options, defaults) => {
@@ -47,6 +184,448 @@ const mergeOptions = (options, defaults) => {
  */
 const parallel = (...processors) => ([...processors])
 
+/**
+ * Same as parallel, but runs no more than the given number of the processors at once. Useful if they all hit the same rate-limited backend.
+ *
+ * @param {number} concurrency - max number of the processors to run at once
+ * @param  {...any} processors - a list of processor module names found in the given processorPath as part of a compose pipeline.
+ */
+parallel.limit = (concurrency, ...processors) => {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw Error(Errors.ConcurrencyNotPositiveInt(concurrency));
+    }
+    return withGroupOptions(parallel(...processors), { concurrency });
+}
+
+/** Ways to resolve two isolated parallel processors changing the same state. See parallel.isolated. */
+const MERGE_STRATEGIES = ['error', 'first', 'last'];
+
+/** Gets if the given value is an options object for parallel.isolated, rather than a processor. */
+const isGroupOptions = obj => isRealObj(obj) && typeof obj.process !== 'function' && !isComposedProcess(obj) && obj.stepType === undefined;
+
+/**
+ * Same as parallel, but each processor gets its own (deep) copy of data and context, so they cannot see or step on each other's changes while they run.
+ * When they are all done, the props each one changed (at any depth) are merged back in. If more than one changed the same prop (to different values), it is a conflict.
+ *
+ * @param {object} options - optional (i.e., only if the first arg is not a processor) settings:
+ *      - {string|function} onConflict - 'error' to fail the step with a ProcessorError, 'first' or 'last' to use the value from the processor listed first or last, or a function (key, values) => value, where values is a list of { processorName, value }. Default: 'error'
+ *      - {number} concurrency - same as for parallel.limit
+ * @param  {...any} processors - a list of processor module names found in the given processorPath as part of a compose pipeline.
+ */
+parallel.isolated = (...args) => {
+    const [options, processors] = isGroupOptions(args[0]) ? [args[0], args.slice(1)] : [{}, args];
+    const { onConflict = 'error', concurrency } = options;
+    if (!(MERGE_STRATEGIES.includes(onConflict) || typeof onConflict === 'function')) {
+        throw Error(Errors.InvalidOnConflict(onConflict));
+    }
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+        throw Error(Errors.ConcurrencyNotPositiveInt(concurrency));
+    }
+    return withGroupOptions(parallel(...processors), { concurrency, isolated: { onConflict } });
+}
+
+/** Copies parallel group options (like a concurrency limit) from one group array to another, since they are just props on the array. Returns the target group. */
+const withGroupOptions = (group, { concurrency, isolated }) => {
+    if (concurrency) {
+        group.concurrency = concurrency;
+    }
+    if (isolated) {
+        group.isolated = isolated;
+    }
+    return group;
+}
+
+/** Gets if the given value is a plain object (e.g., from a literal or JSON), as opposed to a class instance like a request. */
+const isPlainObj = obj => isRealObj(obj) && [Object.prototype, null].includes(Object.getPrototypeOf(obj));
+
+/**
+ * Gets a deep copy of the plain objects and arrays in the given state. Anything else (like class instances and functions) is shared, not copied.
+ *
+ * @param {any} value - the state to copy
+ * @param {Array<string>} sharedKeys - top-level props to share rather than copy (e.g., context.errors, so it stays the run's list)
+ * @returns {any}
+ */
+const copyState = (value, sharedKeys = []) => {
+    if (Array.isArray(value)) {
+        return value.map(item => copyState(item));
+    }
+    if (!isPlainObj(value)) {
+        return value;
+    }
+    return Object.keys(value).reduce((copy, key) => {
+        copy[key] = sharedKeys.includes(key) ? value[key] : copyState(value[key]);
+        return copy;
+    }, {});
+}
+
+/** Makes the target have the same props as the given state (except ignoredKeys), e.g., to keep the changes from a retry attempt that ran on a copy. */
+const replaceState = (target, state, ignoredKeys = []) => {
+    Object.keys(target).filter(key => !ignoredKeys.includes(key) && !(key in state)).forEach(key => delete target[key]);
+    Object.keys(state).filter(key => !ignoredKeys.includes(key)).forEach(key => { target[key] = state[key]; });
+}
+
+/** Gets if the given states are the same, comparing plain objects and arrays by value (like those from copyState) and anything else by reference. */
+const isSameState = (a, b) => {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => isSameState(item, b[i]));
+    }
+    if (isPlainObj(a) && isPlainObj(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && isSameState(a[key], b[key]));
+    }
+    return a === b;
+}
+
+/**
+ * Merges the props that isolated processors changed in their own copies of some state into the target state.
+ * Props changed by just one (or changed to the same value by all that changed them) are applied; others are resolved with onConflict.
+ * When a plain object prop was changed by more than one, its props are merged the same way, so processors can change different parts of the same object.
+ *
+ * @param {object} target - the state to merge into
+ * @param {object} before - copy of the state from before the processors ran
+ * @param {Array<object>} results - { processorName, state } for each processor, in pipeline order
+ * @param {string|function} onConflict - see parallel.isolated
+ * @param {string} prefix - prefix for keys in conflicts, e.g. 'data.'
+ * @param {Array<string>} ignoredKeys - props not to merge
+ * @returns {Array<object>} - unresolved conflicts, as { key, processorNames }. Those props are left as they were.
+ */
+const mergeIsolatedChanges = (target, before, results, onConflict, prefix, ignoredKeys = []) => {
+    const conflicts = [];
+    const keys = new Set(results.reduce((all, { state }) => all.concat(Object.keys(state)), Object.keys(before)));
+    keys.forEach(key => {
+        if (ignoredKeys.includes(key)) { return; }
+
+        const writers = results.filter(({ state }) => !isSameState(state[key], before[key]) || (key in state) !== (key in before));
+        if (writers.length === 0) { return; }
+
+        if (writers.length > 1 && isPlainObj(target[key]) && isPlainObj(before[key]) && writers.every(({ state }) => isPlainObj(state[key]))) {
+            const nested = writers.map(({ processorName, state }) => ({ processorName, state: state[key] }));
+            conflicts.push(...mergeIsolatedChanges(target[key], before[key], nested, onConflict, `${prefix}${key}.`));
+            return;
+        }
+
+        const isSame = writers.every(({ state }) => isSameState(state[key], writers[0].state[key]) && (key in state) === (key in writers[0].state));
+        let writer = writers[0];
+        if (!isSame) {
+            if (onConflict === 'error') {
+                conflicts.push({ key: prefix + key, processorNames: writers.map(w => w.processorName) });
+                return;
+            }
+            if (typeof onConflict === 'function') {
+                target[key] = onConflict(prefix + key, writers.map(({ processorName, state }) => ({ processorName, value: state[key] })));
+                return;
+            }
+            writer = onConflict === 'last' ? writers[writers.length - 1] : writers[0];
+        }
+
+        if (key in writer.state) {
+            target[key] = writer.state[key];
+        } else {
+            delete target[key];
+        }
+    });
+    return conflicts;
+}
+
+/** Gets if the given pipeline step is from a call to branch. */
+const isBranch = step => isRealObj(step) && step.stepType === 'branch';
+
+/** Gets a copy of the given branch routes with each route replaced by the result of mapRoute. */
+const mapRoutes = (routes, mapRoute) => Object.keys(routes).reduce((mapped, key) => {
+    mapped[key] = mapRoute(routes[key], key);
+    return mapped;
+}, {});
+
+/**
+ * Specify that only one of several sub-pipelines should run, chosen when the process reaches this step.
+ *
+ * @param {function} selector - (data, context) => key (or a promise of one) that says which route to run.
+ * @param {object} routes - map of key to sub-pipeline. Each sub-pipeline is a list just like a compose pipeline (so use parallel inside it for parallel steps); a single processor name can be given without a list. If the selector returns a key with no route, the 'default' route runs, if there is one; otherwise the branch is skipped.
+ */
+const branch = (selector, routes) => {
+    if (typeof selector !== 'function') {
+        throw Error(Errors.BranchSelectorNotFunction(selector));
+    }
+    if (!isRealObj(routes) || Object.keys(routes).length === 0) {
+        throw Error(Errors.BranchRoutesNotObject(routes));
+    }
+
+    return {
+        stepType: 'branch',
+        selector,
+        routes: mapRoutes(routes, route => Array.isArray(route) ? route : [route]),
+    };
+}
+
+/** Gets if the given pipeline step is from a call to race. */
+const isRace = step => isRealObj(step) && step.stepType === 'race';
+
+/**
+ * Specify that the given processors should run at the same time, but only the first one to succeed counts. Useful if you can get the same thing from more than one source (like a primary store and a replica) and want whichever answers first.
+ *
+ * Each processor gets its own (deep) copy of data/context, and only the winner's changes are kept. The others are ignored (and their context.signal aborted, so they can cancel work if they support it).
+ *
+ * @param  {...any} processors - a list of processor module names found in the given processorPath (or processor objects) as part of a compose pipeline.
+ */
+const race = (...processors) => {
+    if (processors.some(p => Array.isArray(p) || isBranch(p) || isRace(p))) {
+        throw Error(Errors.RaceEntryNotProcessor());
+    }
+
+    return {
+        stepType: 'race',
+        processors: [...processors],
+    };
+}
+
+/** Gets if the given pipeline step is from a call to each. */
+const isEach = step => isRealObj(step) && step.stepType === 'each';
+
+/**
+ * Specify that the given processor should run once for each item in a list, like a map over the list.
+ *
+ * Each run gets its own empty data object and a shallow copy of context with the current item on context.item (and its index on context.itemIndex). The data from each run is collected, in order, into an array on data.
+ *
+ * @param {string} itemsPath - path to the list, starting from data or context, e.g. 'context.orderIds' or 'data.order.lines'
+ * @param {string|object} processor - processor module name found in the given processorPath (or a processor object)
+ * @param {object} options - optional settings:
+ *      - {number} concurrency - max number of items to process at once. Default: all at once
+ *      - {string} resultKey - name of the data property to put the results on. Default: the processor name
+ */
+const each = (itemsPath, processor, options = {}) => {
+    if (!isStatePath(itemsPath)) {
+        throw Error(Errors.EachPathInvalid(itemsPath));
+    }
+    if (Array.isArray(processor) || isBranch(processor) || isRace(processor) || isEach(processor)) {
+        throw Error(Errors.EachProcessorInvalid());
+    }
+    const { concurrency, resultKey } = options;
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+        throw Error(Errors.ConcurrencyNotPositiveInt(concurrency));
+    }
+
+    return {
+        stepType: 'each',
+        itemsPath,
+        processor,
+        concurrency,
+        resultKey,
+    };
+}
+
+/** Gets if the given value is a path starting from data or context, e.g. 'data.order' or 'context.user'. */
+const isStatePath = statePath => typeof statePath === 'string' && /^(data|context)\.[^.]/.test(statePath);
+
+/** Gets if the given value is a list of state paths, like for reads/writes. */
+const isStatePathList = paths => Array.isArray(paths) && paths.every(isStatePath);
+
+/** Gets if the given state paths overlap, i.e., one is the same as or inside the other. */
+const pathsOverlap = (a, b) => a === b || a.startsWith(b + '.') || b.startsWith(a + '.');
+
+/** Gets the value at the given dot-separated path in the given object, or undefined if any part of the path is missing. */
+const getAtPath = (obj, valuePath) => valuePath.split('.').reduce((value, key) => (value === undefined || value === null) ? undefined : value[key], obj);
+
+/** Gets a flat list of every processor in the given pipeline steps, including those in parallel groups and branch routes. */
+const flattenSteps = steps => steps.reduce((all, step) => {
+    if (Array.isArray(step)) {
+        return all.concat(flattenSteps(step));
+    }
+    if (isBranch(step)) {
+        return all.concat(...Object.keys(step.routes).map(key => flattenSteps(step.routes[key])));
+    }
+    if (isRace(step)) {
+        return all.concat(step.processors);
+    }
+    if (isEach(step)) {
+        return all.concat(step.processor);
+    }
+    return all.concat(step);
+}, []);
+
+/** Gets the name used in logs/traces for the given pipeline step (a processor, parallel group, or branch). */
+const getStepName = step => {
+    if (Array.isArray(step)) {
+        const groupOptions = [step.concurrency && `limit ${step.concurrency}`, step.isolated && 'isolated'].filter(o => o);
+        return `'Parallel${groupOptions.length > 0 ? ` (${groupOptions.join(', ')})` : ''}: ${JSON.stringify(step.map(p => p && p.name))}`;
+    }
+    if (isBranch(step)) {
+        return `'Branch: ${JSON.stringify(Object.keys(step.routes))}`;
+    }
+    if (isRace(step)) {
+        return `'Race: ${JSON.stringify(step.processors.map(p => p && p.name))}`;
+    }
+    if (isEach(step)) {
+        return `'Each: ${step.processor && step.processor.name} <- ${step.itemsPath}`;
+    }
+    return step.name;
+}
+
+/** runIf for processors that do not have their own */
+const runAlways = () => true;
+
+/** Gets if the given processor has a runIf of its own. */
+const hasRunIf = processor => typeof processor.runIf === 'function' && processor.runIf !== runAlways;
+
+/** Gets the label used in diagrams for a grouped step (parallel group, race, or each). */
+const getGroupLabel = step => {
+    if (isRace(step)) {
+        return 'race';
+    }
+    if (isEach(step)) {
+        return `each ${step.itemsPath}`;
+    }
+    const groupOptions = [step.concurrency && `limit ${step.concurrency}`, step.isolated && 'isolated'].filter(o => o);
+    return `parallel${groupOptions.length > 0 ? ` (${groupOptions.join(', ')})` : ''}`;
+}
+
+/**
+ * Gets a plain description of the given pipeline steps (see describe in compose for the shape).
+ *
+ * @param {Array} steps - the pipeline steps
+ * @param {function} getSource - (processor) => path of the module it came from, or null
+ */
+const describeSteps = (steps, getSource) => steps.map(step => {
+    const name = getStepName(step);
+    const describeProcessors = processors => describeSteps(processors, getSource);
+    if (Array.isArray(step)) {
+        return { type: 'parallel', name, concurrency: step.concurrency || null, isolated: !!step.isolated, processors: describeProcessors(step) };
+    }
+    if (isBranch(step)) {
+        return { type: 'branch', name, routes: mapRoutes(step.routes, describeProcessors) };
+    }
+    if (isRace(step)) {
+        return { type: 'race', name, processors: describeProcessors(step.processors) };
+    }
+    if (isEach(step)) {
+        const [processor] = describeProcessors([step.processor]);
+        return { type: 'each', name, itemsPath: step.itemsPath, resultKey: step.resultKey || step.processor.name, processor };
+    }
+    return {
+        type: 'processor',
+        name,
+        source: getSource(step),
+        prerequisites: [...(step.prerequisites || [])],
+        hasRunIf: hasRunIf(step),
+    };
+});
+
+/**
+ * Gets a graph of the given pipeline steps, for rendering as a diagram (see diagram.js for the shape).
+ * Steps are linked in order from a start node to an end node, with dashed edges from each prerequisite to the processors that need it.
+ * Invalid configs for processors in the pipeline are put on their nodes; others (e.g., processors that failed to load) get nodes of their own.
+ *
+ * @param {string} processName - name of the process
+ * @param {Array} steps - the pipeline steps
+ * @param {Array} invalidConfigs - invalid configs (messages or { processorName, reason }) for the process
+ */
+const getPipelineGraph = (processName, steps, invalidConfigs = []) => {
+    const graph = { title: processName, nodes: [], groups: [], edges: [] };
+    const nodeIdsByName = {};
+    const processorNodes = [];
+
+    const addNode = (label, kind, props = {}) => {
+        const node = { id: `n${graph.nodes.length}`, label, kind, runIf: false, problems: [], ...props };
+        graph.nodes.push(node);
+        return node.id;
+    }
+    const addProcessor = (processor) => {
+        const id = addNode(processor.name, 'processor', { runIf: hasRunIf(processor) });
+        nodeIdsByName[processor.name] = (nodeIdsByName[processor.name] || []).concat(id);
+        processorNodes.push({ id, processor });
+        return id;
+    }
+    const addEdges = (fromIds, toIds, kind = 'next', label) => fromIds.forEach(from => toIds.forEach(to => {
+        graph.edges.push(label !== undefined ? { from, to, kind, label } : { from, to, kind });
+    }));
+
+    /** Adds the given step and gets the ids of the nodes that lead into it (entries) and out of it (exits). */
+    const addStep = (step) => {
+        if (Array.isArray(step) || isRace(step) || isEach(step)) {
+            const members = isRace(step) ? step.processors : (isEach(step) ? [step.processor] : step);
+            const ids = members.map(addProcessor);
+            graph.groups.push({ id: `g${graph.groups.length}`, label: getGroupLabel(step), nodeIds: ids });
+            return { entries: ids, exits: ids };
+        }
+        if (isBranch(step)) {
+            const id = addNode(step.selector.name ? `branch: ${step.selector.name}` : 'branch', 'branch');
+            const exits = [];
+            Object.keys(step.routes).forEach(key => {
+                const route = addSteps(step.routes[key]);
+                if (route) {
+                    addEdges([id], route.entries, 'route', key);
+                    exits.push(...route.exits);
+                } else {
+                    exits.push(id); // nothing valid left in the route
+                }
+            });
+            if (!step.routes.default && !exits.includes(id)) {
+                exits.push(id); // a key with no route skips the branch
+            }
+            return { entries: [id], exits };
+        }
+        const id = addProcessor(step);
+        return { entries: [id], exits: [id] };
+    }
+
+    /** Adds the given steps in order, and gets the entries of the first and exits of the last (or null if there are none). */
+    const addSteps = (stepsToAdd) => stepsToAdd.reduce((added, step) => {
+        const next = addStep(step);
+        if (!added) {
+            return next;
+        }
+        addEdges(added.exits, next.entries);
+        return { entries: added.entries, exits: next.exits };
+    }, null);
+
+    const startId = addNode(processName, 'start');
+    const pipeline = addSteps(steps);
+    const endId = addNode('end', 'end');
+    pipeline && addEdges(pipeline.exits, [endId]);
+    graph.edges.unshift(...(pipeline ? pipeline.entries : [endId]).map(to => ({ from: startId, to, kind: 'next' })));
+
+    invalidConfigs.forEach(config => {
+        if (typeof config === 'string') {
+            addNode(config, 'invalid');
+        } else if (nodeIdsByName[config.processorName]) {
+            graph.nodes.filter(node => nodeIdsByName[config.processorName].includes(node.id)).forEach(node => node.problems.push(config.reason));
+        } else {
+            const id = addNode(String(config.processorName), 'invalid', { problems: [config.reason] });
+            nodeIdsByName[config.processorName] = [id];
+        }
+    });
+
+    processorNodes.forEach(({ id, processor }) => (processor.prerequisites || []).forEach(prereq => addEdges(nodeIdsByName[prereq] || [], [id], 'prerequisite')));
+
+    return graph;
+}
+
+/**
+ * Orders the given processors into levels by their prerequisites, so each processor runs in the level after the last of its prerequisites.
+ * Processors with no prerequisites (or only ones that are not in the list) go in the first level.
+ *
+ * @param {Array<object>} processors - processors to schedule
+ * @returns {object} - { levels: Array<Array<object>>, unscheduled: Array<object> } where unscheduled are those in (or depending on) a prerequisite cycle
+ */
+const scheduleByPrerequisites = (processors) => {
+    const names = processors.map(p => p.name);
+    const getPrereqs = processor => (processor.prerequisites || []).filter(prereq => names.includes(prereq));
+
+    const levels = [];
+    const scheduled = [];
+    let remaining = processors;
+    while (remaining.length > 0) {
+        const level = remaining.filter(processor => getPrereqs(processor).every(prereq => scheduled.includes(prereq)));
+        if (level.length === 0) {
+            break; // everything left is waiting on something else left, i.e., a cycle
+        }
+        levels.push(level);
+        scheduled.push(...level.map(p => p.name));
+        remaining = remaining.filter(processor => !level.includes(processor));
+    }
+
+    return { levels, unscheduled: remaining };
+}
+
 /** Gets just the name part of the file, minus its extension. */
 const getModuleName = filePath => path.basename(filePath, path.extname(filePath));
 
@@ -57,8 +636,22 @@ const getModuleName = filePath => path.basename(filePath, path.extname(filePath)
  * @param {string} processName - distinct name for logs/errors
  * @param {object} options -
  *      - {string} processorsPath - use if you want to specify a pipeline of module-based processors. If pipeline is not specified, all modules in directory will be executed in order of files in the directory.
- *      - {Array<string|parallel>} pipeline - a list of paths and or calls to parallel, if you want a step in the pipeline to execute multiple processors in parallel
+ *      - {string} schedule - how to run all modules in processorsPath when pipeline is not specified. 'parallel' runs them all at once; 'prerequisites' runs them in levels, each after its prerequisites, with each level in parallel. Default: 'parallel'
+ *      - {Array<string|parallel|race|branch|each|process>} pipeline - a list of paths and or calls to parallel, if you want a step in the pipeline to execute multiple processors in parallel, to race, if you only want the first to succeed, to branch, if you want to run one of several sub-pipelines, or to each, if you want to run a processor for each item in a list. Can also include processes returned from compose, to run them as nested steps.
  *      - {options} cookieOptions - default cookie options for any cookies set without options. Can be static object of options or a function. If a function, it will be called for each cookie creation (so you can control the default options functionally).
+ *      - {number} processorTimeout - default ms any one processor may take before failing with a ProcessorError. Processors can override with their own 'timeout' export. No limit if not set.
+ *      - {number} timeoutStatusCode - status code for the ProcessorError raised when a processor (or the whole run) times out. Default: 504
+ *      - {string} runIfMode - default for processors without their own: 'skip' to skip a processor when its runIf is falsy, or 'require' to fail with a ProcessorError. Default: 'skip'
+ *      - {number} requireStatusCode - default status code for the ProcessorError raised when a required runIf is not met. Default: 400
+ *      - {Array<string>} provides - paths the starting context (or runOptions.data) provides, e.g. 'context.user', so processors can declare them in their 'reads'.
+ *      - {boolean} devMode - if true, runs warn when a step writes to data/context paths its processors did not declare in their 'writes'. Default: true if NODE_ENV is 'development'
+ *      - {object} paramsSchema - JSON-Schema-like schema (see schema.js) that context.params must match before the first step runs. Params are coerced to the schema types (e.g., '5' to 5), and defaults filled in. If they do not match, the run fails with a 400 ProcessorError listing each field that failed.
+ *      - {object} responseSchema - JSON-Schema-like schema (see schema.js) that the final data must match before send responds with it. If it does not, send responds with a 500 and logs what did not match.
+ *      - {string} responseSchemaMode - what send does with data properties not in the responseSchema: 'strip' removes them; 'fail' treats them as a mismatch. Default: 'strip'
+ *      - {Array<object>} plugins - plugins with lifecycle hooks to run for this process, after any registered globally with registerPlugin. See plugins.js.
+ *      - {object} tracer - OpenTelemetry-like tracer (see tracing.js) to make a span for each run and each processor. Default: the one set with setTracer, if any
+ *      - {object|boolean} metrics - registry from createMetricsRegistry to record run metrics in (see metrics.js), or false to not record them. Default: the metrics registry exported by metrics.js
+ *      - {number} deadline - max ms a whole run may take. Once passed, no further steps start and the run fails with a ProcessError. Can be overridden per run. No limit if not set.
  */
 const compose = (processName, options = {}) => {
     const COMPOSE_TIMER = 'Compose ' + processName;
@@ -72,282 +665,1379 @@ const compose = (processName, options = {}) => {
     let invalidConfigs = [];
     const addInvalidProcessor = (processorName, reason) => invalidConfigs.push({ processorName, reason });
 
+    /** paths of the modules processors were loaded from (by processor name) */
+    const sourcePaths = {};
+
     let {
         processorsPath,
         pipeline,
         processors = [], // we allow passing built pipeline, but should only be used for testing :)
         cookieOptions,
+        processorTimeout,
+        timeoutStatusCode = DEFAULT_TIMEOUT_STATUS_CODE,
+        deadline: processDeadline,
+        schedule = 'parallel',
+        runIfMode = 'skip',
+        requireStatusCode = DEFAULT_REQUIRE_STATUS_CODE,
+        provides = [],
+        devMode = process.env.NODE_ENV === 'development',
+        paramsSchema,
+        responseSchema,
+        responseSchemaMode = 'strip',
+        plugins: processPlugins = [],
+        tracer: processTracer,
+        metrics: metricsRegistry = defaultMetrics,
     } = options || {};
 
-    /** Gets process-specified cookie option defaults. */
-    const getProcessDefaultCookieOptions = typeof cookieOptions === 'function' ? cookieOptions : () => cookieOptions;
+    if (!Array.isArray(processPlugins)) {
+        const msg = Errors.PluginsNotArray(processPlugins);
+        invalidConfigs.push(msg);
+        error(msg);
+        processPlugins = [];
+    }
+    processPlugins.forEach(plugin => {
+        try {
+            checkPlugin(plugin);
+        } catch (ex) {
+            invalidConfigs.push(ex.message);
+            error(ex.message);
+        }
+    });
+
+    if (processTracer !== undefined) {
+        try {
+            checkTracer(processTracer);
+        } catch (ex) {
+            invalidConfigs.push(ex.message);
+            error(ex.message);
+            processTracer = undefined;
+        }
+    }
+
+    try {
+        checkMetrics(metricsRegistry);
+    } catch (ex) {
+        invalidConfigs.push(ex.message);
+        error(ex.message);
+        metricsRegistry = false;
+    }
+
+    if (paramsSchema !== undefined) {
+        checkSchema(paramsSchema, 'paramsSchema').forEach(msg => {
+            invalidConfigs.push(msg);
+            error(msg);
+        });
+    }
+
+    if (responseSchema !== undefined) {
+        checkSchema(responseSchema, 'responseSchema').forEach(msg => {
+            invalidConfigs.push(msg);
+            error(msg);
+        });
+    }
+
+    if (!RESPONSE_SCHEMA_MODES.includes(responseSchemaMode)) {
+        const msg = Errors.InvalidResponseSchemaMode(responseSchemaMode);
+        invalidConfigs.push(msg);
+        error(msg);
+    }
+
+    if (!isStatePathList(provides)) {
+        const msg = Errors.ContractPathsInvalid(processName, 'provides', provides);
+        invalidConfigs.push(msg);
+        error(msg);
+        provides = [];
+    }
+
+    if (!RUN_IF_MODES.includes(runIfMode)) {
+        const msg = Errors.InvalidRunIfMode(processName, runIfMode);
+        invalidConfigs.push(msg);
+        error(msg);
+    }
+
+    if (!isErrorStatusCode(requireStatusCode)) {
+        const msg = Errors.RequireStatusCodeInvalid(processName, requireStatusCode);
+        invalidConfigs.push(msg);
+        error(msg);
+    }
+
+    if (!SCHEDULES.includes(schedule)) {
+        const msg = Errors.InvalidSchedule(schedule);
+        invalidConfigs.push(msg);
+        error(msg);
+    }
+
+    if (processorTimeout !== undefined && !isValidTimeout(processorTimeout)) {
+        const msg = Errors.TimeoutNotPositiveNumber(processName, processorTimeout);
+        invalidConfigs.push(msg);
+        error(msg);
+    }
+
+    if (processDeadline !== undefined && !isValidTimeout(processDeadline)) {
+        const msg = Errors.TimeoutNotPositiveNumber(processName, processDeadline);
+        invalidConfigs.push(msg);
+        error(msg);
+    }
+
+    /** emits the events in EVENT_NAMES for every run */
+    const emitter = new EventEmitter();
+
+    /** Gets process-specified cookie option defaults. */
+    const getProcessDefaultCookieOptions = typeof cookieOptions === 'function' ? cookieOptions : () => cookieOptions;
+
+    /** Validates and returns a processor in the expected shape for process to use. */
+    const createProcessor = (name, processor, options = {}) => {
+        if (typeof name !== 'string') {
+            throw Error(Errors.ProcessorNameNotString(name));
+        }
+
+        if (isComposedProcess(processor)) {
+            processor = processor.asProcessor(options);
+        }
+
+        if (typeof processor === 'function') {
+            processor = {
+                process: processor,
+                ...options,
+            }
+        }
+
+        processor.name = String(name);
+
+        if (!isRealObj(processor)) {
+            throw Error(Errors.ProcessorNotObject(processor));
+        }
+
+        if (typeof processor.process !== 'function') {
+            throw Error(Errors.ProcessNotFunction(processor));
+        }
+
+        if (processor.runIf !== undefined) {
+            if (typeof processor.runIf !== 'function') {
+                throw Error(Errors.RunIfNotFunction(processor));
+            }
+        } else {
+            processor.runIf = runAlways; // if runIf not specified, we will always return true and run
+        }
+
+        if (processor.runIfMode !== undefined && !RUN_IF_MODES.includes(processor.runIfMode)) {
+            throw Error(Errors.InvalidRunIfMode(processor.name, processor.runIfMode));
+        }
+
+        if (processor.requireStatusCode !== undefined && !isErrorStatusCode(processor.requireStatusCode)) {
+            throw Error(Errors.RequireStatusCodeInvalid(processor.name, processor.requireStatusCode));
+        }
+
+        if (processor.requireMessage !== undefined && !['string', 'function'].includes(typeof processor.requireMessage)) {
+            throw Error(Errors.RequireMessageInvalid(processor));
+        }
+
+        if (processor.requireName !== undefined && !(typeof processor.requireName === 'string' && processor.requireName.length > 0)) {
+            throw Error(Errors.RequireNameInvalid(processor));
+        }
+
+        ['reads', 'writes'].forEach(key => {
+            if (processor[key] !== undefined && !isStatePathList(processor[key])) {
+                throw Error(Errors.ContractPathsInvalid(processor.name, key, processor[key]));
+            }
+        });
+
+        if (processor.prerequisites) {
+            if (!(Array.isArray(processor.prerequisites) && processor.prerequisites.every(prereq => typeof prereq === 'string'))) {
+                throw Error(Errors.PrereqNotString(processor))
+            }
+        } else {
+            processor.prerequisites = [];
+        }
+
+        if (processor.timeout !== undefined && !isValidTimeout(processor.timeout)) {
+            throw Error(Errors.TimeoutNotPositiveNumber(processor.name, processor.timeout));
+        }
+
+        if (processor.retry !== undefined) {
+            processor.retry = createRetryPolicy(processor.retry);
+        }
+
+        if (processor.compensate !== undefined && typeof processor.compensate !== 'function') {
+            throw Error(Errors.CompensateNotFunction(processor));
+        }
+
+        return processor;
+    }
+
+    /**
+     * Add a processor function to the end of the process.
+     *
+     * @param {string} name - recognizable, distinct name for this processor
+     * @param {function} processor - function called with signature (data, context) => { data, context }, or an object with a 'process' function of the same signature, or a process returned from compose (to run it nested in this one).
+     * @param {object} options - optional processor configuration:
+     *      {function} runIf - if provided, will execute prior to processor. if return value is truthy, will execute the processor, otherwise will skip it (or fail, if runIfMode is 'require')
+     *      {string} runIfMode - 'skip' or 'require'. overrides the process default
+     *      {number} requireStatusCode - status code for the ProcessorError raised when a required runIf is not met. overrides the process default
+     *      {string|function} requireMessage - message (or (data, context) => message) for the ProcessorError raised when a required runIf is not met
+     *      {string} requireName - name of the condition runIf checks, used in the default message when a required runIf is not met (e.g., 'hasOrder'). Default: the runIf function's name, if it has one of its own
+     *      {number} timeout - if provided, ms the processor may take before failing with a ProcessorError (overrides the process default)
+     *      {object} retry - if provided, policy for re-running the processor when it fails. See createRetryPolicy in retry.js.
+     *      {function} compensate - if provided, called with (data, context, processError) to undo the processor's work if a later step fails the process
+     *      {Array<string>} reads - if provided, data/context paths the processor needs, which an earlier step must declare in its writes (or the process in its provides)
+     *      {Array<string>} writes - if provided, data/context paths the processor sets
+     */
+    const register = (name, processor, options = {}) => {
+        try {
+            processor = createProcessor(name, processor, options);
+            validatePrerequisites(processor);
+            validateReads(processor);
+        } catch (ex) {
+            addInvalidProcessor(name, ex.message);
+            throw ex; // rethrow to notify callers..
+        }
+
+        if (!processors.some(p => p.name === processor.name)) {
+            verbose(`Adding processor '${processor.name}' to process '${processName}'.`);
+            processors.push(processor);
+        } else {
+            warn(`Processor with name '${processor.name}' already registered. Skipping.`, processor);
+        }
+
+        return __self; // for chaining
+    }
+
+
+    // recursively ensure processor is removed
+    const removeProcessor = (processorName, processorList) => {
+        return processorList.map(p => {
+            if (Array.isArray(p)) {
+                return withGroupOptions(removeProcessor(processorName, p), p);
+            }
+            if (isBranch(p)) {
+                return { ...p, routes: mapRoutes(p.routes, route => removeProcessor(processorName, route)) };
+            }
+            if (isRace(p)) {
+                return { ...p, processors: removeProcessor(processorName, p.processors) };
+            }
+            return p;
+        }).filter(p => {
+            if (Array.isArray(p)) { return p.length > 0; }
+            if (isRace(p)) { return p.processors.length > 0; }
+            if (isEach(p)) { return p.processor.name !== processorName; }
+            return isBranch(p) || p.name !== processorName;
+        });
+    }
+
+    /**
+     * Remove the named processor from the process.
+     *
+     * @param {string} processorName - recognizable, distinct name for this processor
+     */
+    const deregister = processorName => {
+        processors = removeProcessor(processorName, processors);
+        invalidConfigs = invalidConfigs.filter(p => p.name !== processorName); // in case code tries to add and removes if it fails. You never know. :D
+
+        return __self; // for chaining
+    }
+
+    /**
+     * Start the process with the given context. Returns
+     *
+     * @param {object} startingContext - arbitrary object containing needed context for starting the process. A shallow copy is made that is passed to each processor along with any data each returns.
+     * @param {boolean} continueOnError - if your process might be able to continue despite errors in prior processors, set this to true; then inspect context.errors as need. Will throw ProcessError on error if not set.
+     * @param {object} runOptions - optional settings for just this run:
+     *      - {number} deadline - max ms this run may take; overrides the process deadline
+     *      - {object} data - data to start with instead of an empty object (used when nested in another process)
+     *      - {AbortSignal} signal - signal to cancel the run. Once aborted, no further steps start, and the run fails with a ProcessError (with isCancelled set).
+     *      - {string} runId - id for this run, put on context.runId and on every event it emits. Default: a new random id
+     * @returns {object} - { data, errors, context, execution } where execution is a report of the run: { runId, processName, ok, startedAt, endedAt, duration, processors }.
+     *      processors lists { name, status, group, startedAt, endedAt, duration, attempts, index } for each processor run (or skipped), in the order they finished. See recordExecution.
+     *      If the run fails, the report is also on the ProcessError's execution property.
+     */
+    const start = async (startingContext, continueOnError, runOptions = {}) => {
+        // we fail on every start if there is invalid config to make it really obvious. nobody should ship with invalid process
+        if (invalidConfigs.length > 0) {
+            throw new InvalidProcessError(processName, { configurationErrors: invalidConfigs });
+        }
+
+        const deadline = runOptions.deadline !== undefined ? runOptions.deadline : processDeadline;
+        if (deadline !== undefined && !isValidTimeout(deadline)) {
+            throw Error(Errors.TimeoutNotPositiveNumber(processName, deadline));
+        }
+        const deadlineAt = deadline && Date.now() + deadline;
+
+        // every run gets its own signal (following any given one) so processors can always pass context.signal along to fetch/DB calls
+        const abortController = createAbortController();
+        const stopFollowingSignal = followSignal(abortController, runOptions.signal);
+        const signal = abortController ? abortController.signal : runOptions.signal;
+
+        const runId = runOptions.runId || createRunId();
+        const runStartedAt = Date.now();
+        const tracer = createRunTracer(START_TIMER, runId); // per run, so concurrent runs do not mix up their traces
+        tracer.traceStart('Process Start', true);
+        const spanTracer = processTracer || getTracer();
+        const traceSpans = !isNoopTracer(spanTracer);
+        /** Emits the given event for this run. Listener errors are logged, since they should not break the run. */
+        const emitEvent = (eventName, details = {}) => {
+            if (emitter.listenerCount(eventName) === 0) { return; }
+            const timestamp = Date.now();
+            try {
+                emitter.emit(eventName, { runId, processName, timestamp, elapsed: timestamp - runStartedAt, ...details });
+            } catch (ex) {
+                error(Errors.EventListenerFailed(eventName, processName), ex);
+            }
+        }
+
+        const context = {
+            ...startingContext,
+            processName,
+            signal,
+            runId,
+        }
+        context.errors = [];
+        const plugins = [...getGlobalPlugins(), ...processPlugins]; // global ones are read per run, so they apply even if registered after compose
+        const data = { ...runOptions.data };
+        if (!isRealObj(data.cookies)) {
+            data.cookies = {}; // start with empty cookies so processors can just set values on it
+        }
+        const processorsRun = [];
+        /** entries for the execution report. See recordExecution */
+        const execution = [];
+
+        /**
+         * Adds an entry to the execution report for a processor (or one item of an each step).
+         *
+         * @param {string} name - processor name
+         * @param {string} status - 'ran', 'skipped-runIf', 'skipped-prereq', 'skipped-stopped' (for queued processors when the run stops), 'failed', 'timed-out', or 'lost' (for race losers)
+         * @param {object} runInfo - info about the run: startedAt (if it started), attempts, index (for each items), group (the name of the grouped step it ran in), and statusCode (if it failed)
+         */
+        const recordExecution = (name, status, runInfo = {}) => {
+            const entry = { name, status, group: runInfo.group || null };
+            if (runInfo.startedAt) {
+                entry.startedAt = runInfo.startedAt;
+                entry.endedAt = Date.now();
+                entry.duration = entry.endedAt - entry.startedAt;
+            }
+            if (runInfo.attempts) {
+                entry.attempts = runInfo.attempts;
+            }
+            if (runInfo.index !== undefined) {
+                entry.index = runInfo.index;
+            }
+            if (runInfo.statusCode) {
+                entry.statusCode = runInfo.statusCode;
+            }
+            execution.push(entry);
+        }
+
+        /** Gets the execution report for the run so far. */
+        const getExecutionReport = () => {
+            const endedAt = Date.now();
+            return {
+                runId,
+                processName,
+                ok: context.errors.length === 0,
+                startedAt: runStartedAt,
+                endedAt,
+                duration: endedAt - runStartedAt,
+                processors: [...execution],
+            };
+        }
+
+        const ensureCookies = (processorName) => {
+            if (!(typeof data.cookies === 'object' && data.cookies !== null && !Array.isArray(data.cookies) && !(data.cookies instanceof Date))) {
+                error(Errors.CookiesChanged(processorName));
+                data.cookies = {};
+                emitEvent('cookiesReset', { processorName });
+            }
+        }
+
+        const aggregateResult = ((processorInfo, result, runInfo = {}) => {
+            tracer.traceEnd(processorInfo.name);
+
+            processorsRun.push({
+                name: processorInfo.name,
+                ok: true,
+                skipped: runInfo.skipped === true,
+                attempts: runInfo.attempts,
+            })
+            recordExecution(processorInfo.name, runInfo.skipped ? 'skipped-runIf' : 'ran', runInfo);
+
+            if (result) {
+                // copy over root modifications
+                result.context && Object.keys(result.context).forEach(propName => {
+                    context[propName] = result.context[propName];
+                })
+                result.data && Object.keys(result.data).forEach(propName => {
+                    data[propName] = result.data[propName];
+                })
+            }
+
+            ensureCookies(processorInfo.name);
+
+        });
+
+        const handleProcessorError = (processorName, ex, runInfo = {}) => {
+            runInfo.traced !== false && tracer.traceEnd(processorName); // not traced if it failed before it could start (e.g., an each step with no list)
+            const errInfo = {
+                occurredIn: processorName,
+                message: ex.message,
+                ex,
+            };
+            if (runInfo.index !== undefined) { // from a run for one item of an each step
+                errInfo.index = runInfo.index;
+            }
+            if (runInfo.attempts > 1) {
+                errInfo.attempts = runInfo.attempts;
+            }
+
+            processorsRun.push({
+                name: processorName,
+                ok: false,
+                attempts: runInfo.attempts,
+            })
+            if (runInfo.startedAt) { // step-level errors (e.g., from a whole parallel group) are not processor runs
+                runInfo.statusCode = getErrorStatusCode(ex);
+                recordExecution(processorName, ex.isTimeout ? 'timed-out' : 'failed', runInfo);
+            }
+
+            context.errors.push(errInfo);
+            emitEvent('processorError', { processorName, error: ex });
+
+            ensureCookies(processorName);
+
+            ex.doNotLog = ex.doNotLog // allow other arbitrary errors to suppress this logging
+                || ex.isEpiError  // GLG internal thing; kept for backwards compat
+                ;
+        }
+
+        /** Calls the processor's process function once, limited by its timeout if it has one. */
+        const runProcess = (processor, procData = data, procContext = context) => {
+            const timeout = processor.timeout || processorTimeout;
+            if (timeout) {
+                return withTimeout(processor.process(procData, procContext), timeout, () => {
+                    const ex = new ProcessorError(Errors.ProcessorTimedOut(processor.name, timeout), { statusCode: timeoutStatusCode });
+                    ex.isTimeout = true;
+                    return ex;
+                });
+            }
+            return processor.process(procData, procContext); // it is important for dev convenience to pass in a ref to our current data/context so processors can short circuit without having to return { data, context } (they can return; and have any of their modifications to data/context be carried forward, as would be expected)
+        }
+
+        /**
+         * Calls the processor until it succeeds or its retry policy says to stop, tracing each attempt.
+         *
+         * With a timeout, an attempt that timed out can still be running when the next one starts, so each attempt runs on its own copy of data/context, with its own signal (aborted when the attempt fails).
+         * Only the copy from the attempt that succeeds is kept.
+         */
+        const runProcessWithRetry = async (processor, runInfo, procData, procContext) => {
+            const policy = processor.retry;
+            const isolateAttempts = Boolean(processor.timeout || processorTimeout);
+            for (let attempt = 1; ; attempt++) {
+                if (procContext.signal && procContext.signal.aborted) { // the run was cancelled or failed (e.g., past its deadline), so nobody needs another attempt
+                    const stoppedEx = new ProcessorError(Errors.RetryStopped(processor.name, attempt - 1), { statusCode: CANCELLED_STATUS_CODE });
+                    stoppedEx.isCancelled = true;
+                    throw stoppedEx;
+                }
+                runInfo.attempts = attempt;
+                const attemptName = `${processor.name} (attempt ${attempt})`;
+                const attemptController = isolateAttempts ? createAbortController() : undefined;
+                const stopFollowingSignal = followSignal(attemptController, procContext.signal);
+                const attemptData = isolateAttempts ? copyState(procData) : procData;
+                const attemptContext = isolateAttempts ? copyState(procContext, RUN_CONTEXT_PROPS) : procContext;
+                if (attemptController) {
+                    attemptContext.signal = attemptController.signal;
+                }
+                tracer.traceStart(attemptName);
+                try {
+                    const result = await runProcess(processor, attemptData, attemptContext);
+                    tracer.traceEnd(attemptName);
+                    if (!isolateAttempts) {
+                        return result;
+                    }
+                    replaceState(procData, attemptData);
+                    replaceState(procContext, attemptContext, RUN_CONTEXT_PROPS);
+                    return result && {
+                        ...result,
+                        data: result.data === attemptData ? procData : result.data,
+                        context: result.context === attemptContext ? procContext : result.context, // so the attempt's signal is not copied over the run's
+                    };
+                } catch (ex) {
+                    tracer.traceEnd(attemptName);
+                    attemptController && attemptController.abort(); // e.g., it timed out, so tell it to stop its work
+                    if (attempt >= policy.attempts || !(await policy.retryIf(ex, attempt))) {
+                        throw ex;
+                    }
+                    const delay = getRetryDelay(policy, attempt + 1);
+                    warn(Errors.RetryingProcessor(processor.name, attempt, delay), ex.message);
+                    await wait(delay, procContext.signal);
+                } finally {
+                    stopFollowingSignal();
+                }
+            }
+        }
+
+        /** Gets the error for a processor whose runIf was required but not met, named for its requireName (or the runIf function, if it has a name of its own). */
+        const getRequirementError = async (processor, procData, procContext) => {
+            const { runIf, requireMessage, requireName } = processor;
+            const conditionName = requireName || (runIf.name && runIf.name !== 'runIf' ? runIf.name : 'runIf');
+            const message = typeof requireMessage === 'function' ? await requireMessage(procData, procContext)
+                : requireMessage || Errors.RequirementNotMet(processor.name, conditionName);
+            return new ProcessorError(message, { statusCode: processor.requireStatusCode || requireStatusCode });
+        }
+
+        /** Gets the attributes for a processor's span. */
+        const getProcessorSpanAttributes = (processor, group) => {
+            const attributes = {
+                [SPAN_ATTRIBUTES.PROCESS_NAME]: processName,
+                [SPAN_ATTRIBUTES.RUN_ID]: runId,
+                [SPAN_ATTRIBUTES.PROCESSOR_NAME]: processor.name,
+            };
+            if (group) {
+                attributes[SPAN_ATTRIBUTES.PARALLEL_GROUP] = group;
+            }
+            return attributes;
+        }
+
+        /**
+         * Runs the processor (if its runIf allows), tracking run details on runInfo, in a span of its own if there is a tracer.
+         *
+         * procData/procContext can be given to run the processor against copies of data/context (e.g., for races).
+         */
+        const getExecPromise = (processor, runInfo = {}, procData = data, procContext = context) => {
+            if (!traceSpans) {
+                return execProcessor(processor, runInfo, procData, procContext);
+            }
+            return withSpan(spanTracer, processor.name, getProcessorSpanAttributes(processor, runInfo.group), async span => {
+                try {
+                    return await execProcessor(processor, runInfo, procData, procContext);
+                } finally {
+                    runInfo.skipped && span.setAttribute(SPAN_ATTRIBUTES.SKIP_REASON, 'runIf');
+                    runInfo.attempts && span.setAttribute(SPAN_ATTRIBUTES.ATTEMPTS, runInfo.attempts);
+                }
+            });
+        }
+
+        /** Runs the processor (if its runIf allows), with the plugin hooks around it. Hooks are only awaited when there are plugins, so processes without them do not wait on extra ticks. */
+        const execProcessor = async (processor, runInfo, procData, procContext) => {
+            tracer.traceStart(processor.name);
+            runInfo.startedAt = Date.now();
+            const hasPlugins = plugins.length > 0;
+            const hookInfo = { processName, processorName: processor.name, data: procData, context: procContext };
+            try {
+                if (await processor.runIf(procData, procContext)) {
+                    hasPlugins && await runHooks(plugins, 'beforeProcessor', hookInfo);
+                    runInfo.attempts = 1;
+                    const running = processor.retry ? runProcessWithRetry(processor, runInfo, procData, procContext) : runProcess(processor, procData, procContext);
+                    if (!hasPlugins) {
+                        return running; // nothing to call after, so do not wait on it here
+                    }
+                    const result = await running;
+                    await runHooks(plugins, 'afterProcessor', { ...hookInfo, result, attempts: runInfo.attempts });
+                    return result;
+                }
+                if ((processor.runIfMode || runIfMode) === 'require') {
+                    throw await getRequirementError(processor, procData, procContext);
+                }
+                runInfo.skipped = true;
+                emitEvent('processorSkipped', { processorName: processor.name, reason: 'runIf' });
+                hasPlugins && await runHooks(plugins, 'onProcessorSkipped', { ...hookInfo, reason: 'runIf' });
+                return Promise.resolve({ data: procData, context: procContext });
+            } catch (ex) {
+                // each plugin can replace the error (e.g., to map it to a ProcessorError); the last one returned wins
+                let processorEx = ex;
+                for (const plugin of plugins.filter(p => p.onProcessorError)) {
+                    processorEx = (await plugin.onProcessorError({ ...hookInfo, error: processorEx })) || processorEx;
+                }
+                throw processorEx;
+            }
+        }
+
+        /**
+         * Runs the onProcessorSkipped hooks for a processor skipped before it could get to its runIf (e.g., because a prerequisite failed).
+         * It never ran, so there is nothing for a failure to fail; failures are just logged.
+         *
+         * @param {object} processor - the skipped processor
+         * @param {object} skipInfo - { reason, prerequisite } like the processorSkipped event
+         */
+        const runSkippedHooks = async (processor, skipInfo) => {
+            for (const plugin of plugins.filter(p => p.onProcessorSkipped)) {
+                try {
+                    await plugin.onProcessorSkipped({ processName, processorName: processor.name, data, context, ...skipInfo });
+                } catch (ex) {
+                    error(Errors.SkippedHookFailed(plugin.name, processor.name, skipInfo.reason), ex);
+                }
+            }
+        }
+
+        /** Gets the given processors minus any with a prerequisite that failed to run. Give the group for the execution report if they are in a grouped step. */
+        const filterFailedPrereqs = async (toExec, group) => {
+            const ready = [];
+            for (const processor of toExec) {
+                const prereq = processor.prerequisites.find(name => {
+                    const procRun = processorsRun.find(p => p.name === name);
+                    return procRun && !procRun.ok;
+                });
+                if (!prereq) {
+                    ready.push(processor);
+                    continue;
+                }
+                error(Errors.PrereqFailedToRun(processor, prereq));
+                recordExecution(processor.name, 'skipped-prereq', { group });
+                emitEvent('processorSkipped', { processorName: processor.name, reason: 'prerequisite', prerequisite: prereq });
+                traceSpans && withSpan(spanTracer, processor.name, {
+                    ...getProcessorSpanAttributes(processor, group),
+                    [SPAN_ATTRIBUTES.SKIP_REASON]: 'prerequisite',
+                    [SPAN_ATTRIBUTES.SKIP_PREREQUISITE]: prereq,
+                }, () => { });
+                plugins.length > 0 && await runSkippedHooks(processor, { reason: 'prerequisite', prerequisite: prereq });
+            }
+            return ready;
+        }
+
+        /** Gets if the run was cancelled or is past its deadline, so queued processors (e.g., in a concurrency-limited group) should not start. */
+        const isRunStopped = () => Boolean((signal && signal.aborted) || (deadlineAt && Date.now() >= deadlineAt));
+
+        /** Records a processor (or each item) that never started because the run was cancelled or passed its deadline while it was waiting its turn. */
+        const skipStopped = async (processor, runInfo) => {
+            if (runInfo.index === undefined) { // an each step counts as failed or not for its prerequisites as a whole
+                processorsRun.push({ name: processor.name, ok: false, skipped: true });
+            }
+            recordExecution(processor.name, 'skipped-stopped', runInfo);
+            emitEvent('processorSkipped', { processorName: processor.name, reason: 'stopped' });
+            traceSpans && withSpan(spanTracer, processor.name, {
+                ...getProcessorSpanAttributes(processor, runInfo.group),
+                [SPAN_ATTRIBUTES.SKIP_REASON]: 'stopped',
+            }, () => { });
+            plugins.length > 0 && await runSkippedHooks(processor, { reason: 'stopped' });
+        }
+
+        /** processors (or each items) waiting their turn in a concurrency-limited step, so the ones left when the run stops can be recorded as skipped */
+        const queued = new Set();
+
+        /**
+         * Gets a task for a concurrency limiter that starts the given processor when its turn comes, unless the run has stopped by then.
+         *
+         * @param {object} processor - the processor to run
+         * @param {object} runInfo - run details for the processor (group, and index for each items)
+         * @param {function} start - () => promise that runs it
+         * @returns {function}
+         */
+        const getQueuedTask = (processor, runInfo, start) => {
+            const entry = { processor, runInfo };
+            queued.add(entry);
+            return () => {
+                if (!queued.delete(entry)) { return; } // already recorded as skipped when the run stopped
+                return isRunStopped() ? skipStopped(processor, runInfo) : start();
+            }
+        }
+
+        /** Records everything still waiting its turn as skipped, for when the run stops (e.g., past its deadline) without waiting on the step it was in. */
+        const skipQueued = () => Promise.all([...queued].map(entry => {
+            queued.delete(entry);
+            return skipStopped(entry.processor, entry.runInfo);
+        }));
+
+        const getExecutable = async (processor) => {
+            const execInfo = {};
+            let toExec;
+            execInfo.name = getStepName(processor);
+            if (Array.isArray(processor)) { // if an array is passed for any step in the pipeline, we treat them as parallel
+                execInfo.isParallel = true;
+                execInfo.names = processor.map(p => p && p.name);
+                toExec = processor;
+            } else {
+                execInfo.isParallel = false;
+                toExec = [processor]; // we map to promises below
+            }
+
+            const group = execInfo.isParallel ? execInfo.name : undefined;
+
+            // check prerequisites
+            toExec = await filterFailedPrereqs(toExec, group);
+
+            // we get a promise for each processor and they resolve/catch as they get done
+            const execOne = p => {
+                const runInfo = { attempts: 0, group };
+                return Promise.resolve(getExecPromise(p, runInfo)).then(result => aggregateResult(p, result, runInfo)).catch(ex => handleProcessorError(p.name, ex, runInfo));
+            }
+            if (processor.concurrency) {
+                const limit = createLimiter(processor.concurrency);
+                execInfo.promises = toExec.map(p => limit(getQueuedTask(p, { group }, () => execOne(p))));
+            } else {
+                execInfo.promises = toExec.map(execOne);
+            }
+            return execInfo;
+        }
+
+        /** Gets the error to fail the run with when the deadline passes during the given step. */
+        const getDeadlineError = (stepName) => {
+            const deadlineEx = new ProcessorError(Errors.DeadlineExceeded(processName, deadline, stepName), { statusCode: timeoutStatusCode });
+            deadlineEx.isTimeout = true;
+            const ex = getStoppedError(stepName, deadlineEx);
+            ex.isDeadlineExceeded = true;
+            ex.stepInFlight = stepName;
+            return ex;
+        }
+
+        /** Gets the error to fail the run with when it is cancelled before the given step. */
+        const getCancelledError = (stepName) => {
+            const cancelledEx = new ProcessorError(Errors.ProcessCancelled(processName, stepName), { statusCode: CANCELLED_STATUS_CODE });
+            cancelledEx.isCancelled = true;
+            const ex = getStoppedError(stepName, cancelledEx);
+            ex.isCancelled = true;
+            return ex;
+        }
+
+        /** Gets a ProcessError for a run that had to stop at the given step, with reasonEx as the error for that step. */
+        const getStoppedError = (stepName, reasonEx) => new ProcessError(processName, startingContext, [
+            ...context.errors,
+            {
+                occurredIn: stepName,
+                message: reasonEx.message,
+                ex: reasonEx,
+            },
+        ]);
+
+        /** Waits on the step, but no longer than the time left before the deadline, if there is one. */
+        const waitOnStep = (stepName, stepDone) => {
+            if (!deadlineAt) { return stepDone; }
+            return withTimeout(stepDone, deadlineAt - Date.now(), () => getDeadlineError(stepName));
+        }
+
+        /** Calls the branch selector and gets the route it chose (or the default route). Returns nothing if no route should run. */
+        const selectRoute = async (step) => {
+            const stepName = getStepName(step);
+            tracer.traceStart(stepName);
+            let key;
+            try {
+                key = await waitOnStep(stepName, Promise.resolve().then(() => step.selector(data, context)));
+            } catch (ex) {
+                if (ex.isDeadlineExceeded) {
+                    throw ex;
+                }
+                handleProcessorError(stepName, ex);
+                return;
+            }
+            tracer.traceEnd(stepName);
+
+            const hasRoute = Object.prototype.hasOwnProperty.call(step.routes, key);
+            verbose(`Branch ${stepName} selected '${key}'${hasRoute ? '' : ' (no route)'}.`);
+            return hasRoute ? step.routes[key] : step.routes.default;
+        }
+
+        /**
+         * Calls compensate, in reverse order, for each processor that ran successfully, so they can undo their work after the process fails.
+         * Compensation errors are logged and added to the process error, but do not stop the other compensations.
+         */
+        const compensate = async (processError) => {
+            const allProcessors = flattenSteps(processors);
+            const toCompensate = processorsRun.filter(run => run.ok && !run.skipped).reverse()
+                .map(run => allProcessors.find(p => p.name === run.name))
+                .filter(processor => processor && typeof processor.compensate === 'function');
+
+            for (let i = 0; i < toCompensate.length; i++) {
+                const processor = toCompensate[i];
+                const compensateName = 'Compensate ' + processor.name;
+                tracer.traceStart(compensateName);
+                verbose(`Compensating '${processor.name}'...`);
+                try {
+                    await processor.compensate(data, context, processError);
+                    processError.compensated.push(processor.name);
+                } catch (ex) {
+                    error(Errors.CompensationFailed(processor.name, processName), ex);
+                    processError.compensationErrors.push({
+                        occurredIn: processor.name,
+                        message: ex.message,
+                        ex,
+                    });
+                }
+                tracer.traceEnd(compensateName);
+            }
+        }
+
+        const checkErrors = () => {
+            if (context.errors.length > 0 && !continueOnError) {
+                throw new ProcessError(processName, startingContext, context.errors);
+            }
+        }
+
+        /**
+         * Runs the processors in the race, each against its own copy of data/context, and keeps the changes from the first to succeed.
+         * If none succeed, their errors are reported as usual.
+         */
+        const runRace = async (step) => {
+            const stepName = getStepName(step);
+            const entrants = (await filterFailedPrereqs(step.processors, stepName)).map(processor => {
+                const entrant = {
+                    processor,
+                    runInfo: { attempts: 0, group: stepName },
+                    data: copyState(data), // including cookies, since losers should not be able to set them
+                    context: copyState(context, RUN_CONTEXT_PROPS),
+                    abortController: createAbortController(),
+                };
+                if (entrant.abortController) {
+                    entrant.context.signal = entrant.abortController.signal;
+                    entrant.stopFollowingSignal = followSignal(entrant.abortController, signal); // so cancelling the run cancels the racers, too
+                }
+                return entrant;
+            });
+            if (entrants.length === 0) { return; }
+
+            tracer.traceStart(stepName);
+            verbose(`Executing '${stepName}' processor...`);
+
+            const getWinner = new Promise(resolve => {
+                let remaining = entrants.length;
+                const finishedWithoutWinning = () => --remaining === 0 && resolve(null);
+                entrants.forEach(entrant => {
+                    Promise.resolve(getExecPromise(entrant.processor, entrant.runInfo, entrant.data, entrant.context))
+                        .then(result => {
+                            if (entrant.runInfo.skipped) {
+                                return finishedWithoutWinning(); // skipped processors do not get to win by default
+                            }
+                            entrant.result = result || {};
+                            resolve(entrant);
+                        }, ex => {
+                            entrant.ex = ex;
+                            finishedWithoutWinning();
+                        });
+                });
+            });
+
+            const winner = await waitOnStep(stepName, getWinner);
+
+            entrants.forEach(entrant => entrant.stopFollowingSignal && entrant.stopFollowingSignal());
+            entrants.filter(entrant => entrant !== winner).forEach(entrant => {
+                tracer.traceEnd(entrant.processor.name);
+                entrant.abortController && entrant.abortController.abort();
+                if (entrant.runInfo.skipped) {
+                    recordExecution(entrant.processor.name, 'skipped-runIf', entrant.runInfo); // like aggregateResult does for any skipped processor
+                } else if (winner) {
+                    recordExecution(entrant.processor.name, 'lost', entrant.runInfo); // without a winner, they are reported as usual below
+                }
+            });
+
+            if (winner) {
+                verbose(`Race ${stepName} won by '${winner.processor.name}'.`);
+                const raceContext = { ...winner.context, ...winner.result.context };
+                if (winner.abortController) {
+                    delete raceContext.signal; // the race signal only applies to the race
+                }
+                aggregateResult(winner.processor, {
+                    data: { ...winner.data, ...winner.result.data },
+                    context: raceContext,
+                }, winner.runInfo);
+            } else {
+                entrants.filter(entrant => entrant.ex).forEach(entrant => handleProcessorError(entrant.processor.name, entrant.ex, entrant.runInfo));
+            }
+
+            tracer.traceEnd(stepName);
+        }
+
+        /**
+         * Runs an isolated parallel group, where each processor gets its own copy of data/context, then merges their changes back in.
+         * Unresolved merge conflicts are reported as an error for the step, and the conflicting props are left as they were before the step.
+         */
+        const runIsolatedGroup = async (group) => {
+            const stepName = getStepName(group);
+            const before = { data: copyState(data), cookies: copyState(data.cookies), context: copyState(context, RUN_CONTEXT_PROPS) };
+            const members = (await filterFailedPrereqs(group, stepName)).map(processor => ({
+                processor,
+                runInfo: { attempts: 0, group: stepName },
+                data: copyState(data),
+                context: copyState(context, RUN_CONTEXT_PROPS),
+            }));
+            if (members.length === 0) { return; }
+
+            tracer.traceStart(stepName);
+            verbose(`Executing '${stepName}' processor...`);
+
+            const execOne = member => Promise.resolve(getExecPromise(member.processor, member.runInfo, member.data, member.context))
+                .then(result => {
+                    // like aggregateResult, returned root props are copied over, but only to the processor's own copy for now
+                    result && result.data && Object.assign(member.data, result.data);
+                    result && result.context && Object.assign(member.context, result.context);
+                    member.ok = true;
+                    aggregateResult(member.processor, null, member.runInfo);
+                }, ex => handleProcessorError(member.processor.name, ex, member.runInfo));
+
+            const limit = group.concurrency ? createLimiter(group.concurrency) : null;
+            const startOne = member => limit ? limit(getQueuedTask(member.processor, { group: stepName }, () => execOne(member))) : execOne(member);
+            try {
+                await waitOnStep(stepName, Promise.all(members.map(startOne)));
+            } catch (ex) {
+                if (ex.isDeadlineExceeded) {
+                    throw ex;
+                }
+                handleProcessorError(stepName, ex);
+            }
+
+            const merged = members.filter(member => member.ok && !member.runInfo.skipped);
+            const getResults = getState => merged.map(member => ({ processorName: member.processor.name, state: getState(member) }));
+            const { onConflict } = group.isolated;
+            try {
+                const conflicts = [
+                    ...mergeIsolatedChanges(data, before.data, getResults(m => m.data), onConflict, 'data.', ['cookies']),
+                    ...mergeIsolatedChanges(data.cookies, before.cookies, getResults(m => isRealObj(m.data.cookies) ? m.data.cookies : {}), onConflict, 'data.cookies.'),
+                    ...mergeIsolatedChanges(context, before.context, getResults(m => m.context), onConflict, 'context.', RUN_CONTEXT_PROPS),
+                ];
+                if (conflicts.length > 0) {
+                    const conflictEx = new ProcessorError(Errors.MergeConflict(stepName, conflicts));
+                    conflictEx.conflicts = conflicts;
+                    handleProcessorError(stepName, conflictEx);
+                }
+            } catch (ex) {
+                handleProcessorError(stepName, ex); // e.g., an onConflict function threw
+            }
+
+            tracer.traceEnd(stepName);
+        }
+
+        /**
+         * Runs the processor of an each step once per item, and puts the data from each run on data[resultKey] (in item order).
+         * Errors are reported per item, with the item index.
+         */
+        const runEach = async (step) => {
+            const { processor, itemsPath, resultKey = processor.name } = step;
+            const stepName = getStepName(step);
+            if ((await filterFailedPrereqs([processor], stepName)).length === 0) { return; }
+
+            tracer.traceStart(stepName);
+            verbose(`Executing '${stepName}' processor...`);
+
+            const items = getAtPath({ data, context }, itemsPath);
+            if (!Array.isArray(items) && items !== undefined && items !== null) {
+                handleProcessorError(processor.name, Error(Errors.EachItemsNotArray(itemsPath, items)), { traced: false });
+                tracer.traceEnd(stepName);
+                return;
+            }
+
+            const list = items || [];
+            const results = list.map(() => undefined); // keep results aligned with items, even for those skipped or failed
+            let allOk = true;
+            let anyStarted = false; // the processor trace is started by the items that run, so only end it if any did
+            const runItem = async (item, index) => {
+                const itemName = `${processor.name}[${index}]`;
+                const runInfo = { attempts: 0, index, group: stepName };
+                const itemData = { cookies: {} }; // like the run's data, so processors can just set cookies on it
+                anyStarted = true;
+                tracer.traceStart(itemName);
+                try {
+                    const result = await getExecPromise(processor, runInfo, itemData, { ...context, item, itemIndex: index });
+                    if (!runInfo.skipped) {
+                        // cookies an item sets go on the run's cookies (so they get sent), not in its result
+                        const { cookies, ...itemResult } = { ...itemData, ...(result && result.data) };
+                        isRealObj(cookies) && Object.assign(data.cookies, cookies);
+                        results[index] = itemResult;
+                    }
+                    recordExecution(processor.name, runInfo.skipped ? 'skipped-runIf' : 'ran', runInfo);
+                    tracer.traceEnd(itemName);
+                } catch (ex) {
+                    allOk = false;
+                    tracer.traceEnd(itemName);
+                    handleProcessorError(processor.name, ex, runInfo);
+                }
+            }
+
+            const limit = step.concurrency ? createLimiter(step.concurrency) : null;
+            const startItem = (item, index) => limit ? limit(getQueuedTask(processor, { index, group: stepName }, () => runItem(item, index))) : runItem(item, index);
+            await waitOnStep(stepName, Promise.all(list.map(startItem)));
+
+            data[resultKey] = results;
+            if (allOk) {
+                processorsRun.push({ name: processor.name, ok: true });
+            }
+            anyStarted && tracer.traceEnd(processor.name);
+            tracer.traceEnd(stepName);
+        }
+
+        /**
+         * Gets the paths the given (non-branch) step declares it writes, or null if any of its processors do not declare writes.
+         * An each step's processor writes to each item's own data, so what the step writes is its list of results.
+         */
+        const getDeclaredWrites = (step) => {
+            if (isEach(step)) {
+                return Array.isArray(step.processor.writes) ? [`data.${step.resultKey || step.processor.name}`] : null;
+            }
+            const stepProcessors = isRace(step) ? step.processors : (Array.isArray(step) ? step : [step]);
+            if (!stepProcessors.every(p => Array.isArray(p.writes))) { return null; }
+            return stepProcessors.reduce((paths, p) => paths.concat(p.writes), []);
+        }
+
+        /**
+         * If every processor in the given step declares its writes, gets a function to call after the step that warns about any top-level data/context props it changed without declaring.
+         * Props are compared by value (for plain objects and arrays), so changes made deeper inside an existing object are caught, too.
+         */
+        const getWritesChecker = (step) => {
+            const declared = getDeclaredWrites(step);
+            if (!declared) { return null; }
+
+            const before = { data: copyState(data), context: copyState(context, RUN_CONTEXT_PROPS) };
+            return (stepName) => {
+                const undeclared = [];
+                [['data', data, ['cookies']], ['context', context, RUN_CONTEXT_PROPS]].forEach(([root, current, ignored]) => {
+                    const keys = new Set([...Object.keys(before[root]), ...Object.keys(current)]);
+                    keys.forEach(key => {
+                        const statePath = `${root}.${key}`;
+                        if (!ignored.includes(key) && !isSameState(before[root][key], current[key]) && !declared.some(writePath => pathsOverlap(statePath, writePath))) {
+                            undeclared.push(statePath);
+                        }
+                    });
+                });
+                if (undeclared.length > 0) {
+                    warn(Errors.UndeclaredWrites(stepName, undeclared));
+                }
+            }
+        }
+
+        /** Runs a step of one processor, or a (shared) parallel group. */
+        const runProcessors = async step => {
+            const execInfo = await getExecutable(step);
+            if (execInfo.promises.length === 0) { return; }
+            tracer.traceStart(execInfo.name);
+
+            verbose(`Executing '${execInfo.name}' processor...`);
+            try {
+                await waitOnStep(execInfo.name, Promise.all(execInfo.promises));
+            } catch (ex) {
+                if (ex.isDeadlineExceeded) {
+                    throw ex; // a deadline is a hard stop, even if continuing on error
+                }
+                handleProcessorError(execInfo.name, ex);
+            }
+
+            tracer.traceEnd(execInfo.name);
+        }
+
+        /** Runs one pipeline step, whatever its type. */
+        const runStep = async step => {
+            if (isBranch(step)) {
+                const route = await selectRoute(step);
+                if (route) {
+                    await runSteps(route); // each step in the route gets its own writes check
+                }
+                return;
+            }
 
-    /** Validates and returns a processor in the expected shape for process to use. */
-    const createProcessor = (name, processor, options = {}) => {
-        if (typeof name !== 'string') {
-            throw Error(Errors.ProcessorNameNotString(name));
+            const checkWrites = devMode ? getWritesChecker(step) : null;
+            if (isRace(step)) {
+                await runRace(step);
+            } else if (isEach(step)) {
+                await runEach(step);
+            } else if (Array.isArray(step) && step.isolated) {
+                await runIsolatedGroup(step);
+            } else {
+                await runProcessors(step);
+            }
+            checkWrites && checkWrites(getStepName(step));
         }
 
-        if (typeof processor === 'function') {
-            processor = {
-                process: processor,
-                ...options,
+        /** Runs the given pipeline steps in order, following any branches into the route they choose. */
+        const runSteps = async steps => {
+            for (let i = 0; i < steps.length; i++) {
+                const stepName = getStepName(steps[i]);
+                checkErrors();
+                if (signal && signal.aborted) {
+                    throw getCancelledError(stepName);
+                }
+                if (deadlineAt && Date.now() >= deadlineAt) {
+                    throw getDeadlineError(stepName);
+                }
+
+                const stepStartedAt = Date.now();
+                const errorCount = context.errors.length;
+                let stepOk = false;
+                emitEvent('stepStart', { stepName });
+                try {
+                    await runStep(steps[i]);
+                    stepOk = context.errors.length === errorCount;
+                } finally {
+                    emitEvent('stepEnd', { stepName, ok: stepOk, duration: Date.now() - stepStartedAt });
+                }
+            }
+            if (steps.length > 0 && signal && signal.aborted) { // cancelled during the last step
+                throw getCancelledError(getStepName(steps[steps.length - 1]));
             }
         }
 
-        processor.name = String(name);
+        /** Validates and coerces context.params using the paramsSchema, if there is one. Invalid params stop the run before any step, even if continuing on error. */
+        const validateParams = () => {
+            if (!paramsSchema) { return; }
 
-        if (!isRealObj(processor)) {
-            throw Error(Errors.ProcessorNotObject(processor));
+            const { value, errors } = validate(paramsSchema, context.params === undefined ? {} : context.params, { coerce: true });
+            if (errors.length > 0) {
+                const paramsEx = new ProcessorError(Errors.ParamsInvalid(processName), { statusCode: INVALID_PARAMS_STATUS_CODE, errors });
+                throw getStoppedError('paramsSchema', paramsEx);
+            }
+            context.params = value;
         }
 
-        if (typeof processor.process !== 'function') {
-            throw Error(Errors.ProcessNotFunction(processor));
+        /** Runs the beforeProcess hooks. Any that throws stops the run before any step, like invalid params. */
+        const runBeforeProcess = async () => {
+            for (const plugin of plugins.filter(p => p.beforeProcess)) {
+                try {
+                    await plugin.beforeProcess({ processName, data, context });
+                } catch (ex) {
+                    throw getStoppedError(`${plugin.name}.beforeProcess`, ex);
+                }
+            }
         }
 
-        if (processor.runIf !== undefined) {
-            if (typeof processor.runIf !== 'function') {
-                throw Error(Errors.RunIfNotFunction(processor));
+        /** Runs the afterProcess hooks. The run is already over, so failures are just logged. */
+        const runAfterProcess = async (processEx) => {
+            for (const plugin of plugins.filter(p => p.afterProcess)) {
+                try {
+                    await plugin.afterProcess({ processName, data, context, errors: context.errors, error: processEx });
+                } catch (ex) {
+                    error(Errors.AfterProcessHookFailed(plugin.name, processName), ex);
+                }
             }
-        } else {
-            processor.runIf = () => true; // if runIf not specified, we will always return true and run
         }
 
-        if (processor.prerequisites) {
-            if (!(Array.isArray(processor.prerequisites) && processor.prerequisites.every(prereq => typeof prereq === 'string'))) {
-                throw Error(Errors.PrereqNotString(processor))
+        /** Records the metrics for the finished run. Failures are just logged, since metrics should not break the run. */
+        const recordMetrics = (report, runErrors) => {
+            if (!metricsRegistry) { return; }
+            try {
+                metricsRegistry.recordRun(report, runErrors);
+            } catch (metricsEx) {
+                error(Errors.MetricsRecordFailed(processName), metricsEx);
             }
-        } else {
-            processor.prerequisites = [];
         }
 
-        return processor;
-    }
+        /** Runs the steps, with everything around them (hooks, events, compensation, and traces). */
+        const run = async () => {
+            emitEvent('processStart', { startingContext });
+            try {
+                await runBeforeProcess();
+                validateParams();
+                await runSteps(processors);
+
+                if (data.cookies && Object.keys(data.cookies).length === 0) {
+                    // no cookies set in process, so remove the auto-appended cookies obj
+                    delete data.cookies;
+                }
 
-    /**
-     * Add a processor function to the end of the process.
-     *
-     * @param {string} name - recognizable, distinct name for this processor
-     * @param {function} processor - function called with signature (data, context) => { data, context }, or an object with a 'process' function of the same signature.
-     * @param {object} options - optional processor configuration:
-     *      {function} runIf - if provided, will execute prior to processor. if return value is truthy, will execute the processor, otherwise will skip it
-     */
-    const register = (name, processor, options = {}) => {
-        try {
-            processor = createProcessor(name, processor, options);
-            validatePrerequisites(processor);
-        } catch (ex) {
-            addInvalidProcessor(name, ex.message);
-            throw ex; // rethrow to notify callers..
-        }
+                checkErrors(); // if last processor errors, we need to check for that here
+            } catch (ex) {
+                // the run is over, so tell processors still in flight (e.g., past the deadline, or timed out) to stop their work before we compensate
+                abortController && abortController.abort();
+                await skipQueued();
+                if (!ex.isProcessError) {
+                    ex.startingContext = startingContext; // ensure startingContext is available to handlers and logs
+                    logError(ex);
+                    ex.doNotLog = true; // signal our built-in logging that we logged already
+                }
+                if (ex.isProcessError && !continueOnError) {
+                    await compensate(ex);
+                }
+                if (ex.isProcessError) {
+                    ex.execution = getExecutionReport();
+                }
+                await runAfterProcess(ex);
+                emitEvent('processEnd', { ok: false, duration: Date.now() - runStartedAt, error: ex });
+                const runErrors = ex.isProcessError && ex.errorsFromProcessors.length > 0 ? ex.errorsFromProcessors : [{ occurredIn: processName, ex }];
+                recordMetrics(ex.execution || getExecutionReport(), runErrors);
+                tracer.traceEnd('Process Start');
+                tracer.traceWrite();
+                throw ex;
+            } finally {
+                stopFollowingSignal();
+            }
 
-        if (!processors.some(p => p.name === processor.name)) {
-            verbose(`Adding processor '${processor.name}' to process '${processName}'.`);
-            processors.push(processor);
-        } else {
-            warn(`Processor with name '${processor.name}' already registered. Skipping.`, processor);
-        }
+            await runAfterProcess();
+            emitEvent('processEnd', { ok: context.errors.length === 0, duration: Date.now() - runStartedAt });
+            const report = getExecutionReport();
+            recordMetrics(report, context.errors);
 
-        return __self; // for chaining
-    }
+            tracer.traceEnd('Process Start');
+            tracer.traceWrite();
 
+            return { data, errors: context.errors, context, execution: report };
+        }
 
-    // recursively ensure processor is removed
-    const removeProcessor = (processorName, processorList) => {
-        return processorList.map(p => {
-            if (Array.isArray(p)) {
-                return removeProcessor(processorName, p);
+        if (!traceSpans) {
+            return run();
+        }
+        const runAttributes = { [SPAN_ATTRIBUTES.PROCESS_NAME]: processName, [SPAN_ATTRIBUTES.RUN_ID]: runId };
+        return withSpan(spanTracer, processName, runAttributes, async span => {
+            const result = await run();
+            if (result.errors.length > 0) { // continuing on error, so the run did not throw, but it did not go cleanly either
+                span.setStatus({ code: SPAN_STATUS_CODES.ERROR, message: Errors.NonProcessError(processName) });
             }
-            return p;
-        }).filter(p => Array.isArray(p) ? p.length > 0 : p.name !== processorName);
+            return result;
+        });
     }
 
     /**
-     * Remove the named processor from the process.
+     * Gets a description of what the process will do, for tooling like docs generators and linters. Does not run anything.
+     * It is a fresh copy each call, so changing it does not change the process.
      *
-     * @param {string} processorName - recognizable, distinct name for this processor
+     * @returns {object} - { processName, steps, invalidConfigs } where each step is one of:
+     *      - { type: 'processor', name, source, prerequisites, hasRunIf } - source being the path of the module it was loaded from (null if not loaded from processorsPath)
+     *      - { type: 'parallel', name, concurrency, isolated, processors } - processors being processor steps
+     *      - { type: 'race', name, processors }
+     *      - { type: 'each', name, itemsPath, resultKey, processor }
+     *      - { type: 'branch', name, routes } - routes being a map of key to the steps for that route
      */
-    const deregister = processorName => {
-        processors = removeProcessor(processorName, processors);
-        invalidConfigs = invalidConfigs.filter(p => p.name !== processorName); // in case code tries to add and removes if it fails. You never know. :D
-
-        return __self; // for chaining
-    }
+    const describe = () => ({
+        processName,
+        steps: describeSteps(processors, processor => sourcePaths[processor.name] || null),
+        invalidConfigs: invalidConfigs.map(config => isRealObj(config) ? { ...config } : config),
+    });
 
     /**
-     * Start the process with the given context. Returns
+     * Dry run: evaluates the runIf predicates, prerequisites, and branch selectors of the process with the given context, without calling any process functions, and gets the plan of what would run.
+     * Processors do not really run, so data only has what you give it. Use stubs to fake what processors would add, for runIf predicates that depend on earlier steps.
      *
-     * @param {object} startingContext - arbitrary object containing needed context for starting the process. A shallow copy is made that is passed to each processor along with any data each returns.
-     * @param {boolean} continueOnError - if your process might be able to continue despite errors in prior processors, set this to true; then inspect context.errors as need. Will throw ProcessError on error if not set.
+     * @param {object} startingContext - same as for start
+     * @param {object} options - optional settings:
+     *      - {object} data - data to start with, like runOptions.data for start
+     *      - {object} stubs - map of processor name to what it would do: { data, context } to merge in after it would run, and/or fails: true to act as if it failed. Can also be a function of (data, context) that returns that.
+     * @returns {object} - { processName, paramsErrors, steps } where each step is one of:
+     *      - { type: 'processor', name, status, reason, prerequisite, error } - status: 'run', 'skip', or 'fail'. reason (for skip/fail): 'runIf', 'prerequisite' (with the failed prerequisite), 'required' (runIf not met with runIfMode 'require'), 'runIfError', or 'stub'
+     *      - { type: 'parallel', name, concurrency, isolated, processors } - processors being processor steps
+     *      - { type: 'race', name, processors }
+     *      - { type: 'each', name, itemsPath, items, error } - items being a processor step (plus index) for each item
+     *      - { type: 'branch', name, selected, route, steps, error } - selected being the key the selector returned, route the route that would run (or null), and steps the plan for it
      */
-    const start = async (startingContext, continueOnError) => {
-        traceStart('Process Start', START_TIMER, true);
-        // we fail on every start if there is invalid config to make it really obvious. nobody should ship with invalid process
+    const explain = async (startingContext, options = {}) => {
         if (invalidConfigs.length > 0) {
             throw new InvalidProcessError(processName, { configurationErrors: invalidConfigs });
         }
 
-        const context = {
-            ...startingContext,
-            processName,
+        const { data: startingData, stubs = {} } = options;
+        const context = { ...startingContext, processName, runId: 'explain', errors: [] };
+        const data = { ...startingData };
+        if (!isRealObj(data.cookies)) {
+            data.cookies = {};
         }
-        context.errors = [];
-        const data = { cookies: {}, }; // start with empty cookies so processors can just set values on it
-        const processorsRun = [];
+        const failed = [];
+        const plan = { processName, paramsErrors: [], steps: [] };
 
-        const ensureCookies = (processorName) => {
-            if (!(typeof data.cookies === 'object' && data.cookies !== null && !Array.isArray(data.cookies) && !(data.cookies instanceof Date))) {
-                error(Errors.CookiesChanged(processorName));
-                data.cookies = {};
-            }
+        if (paramsSchema) {
+            const { value, errors } = validate(paramsSchema, context.params === undefined ? {} : context.params, { coerce: true });
+            plan.paramsErrors = errors;
+            context.params = value;
         }
 
-        const aggregateResult = ((processorInfo, result) => {
-            traceEnd(processorInfo.name, START_TIMER);
-
-            processorsRun.push({
-                name: processorInfo.name,
-                ok: true,
-            })
-
-            if (result) {
-                // copy over root modifications
-                result.context && Object.keys(result.context).forEach(propName => {
-                    context[propName] = result.context[propName];
-                })
-                result.data && Object.keys(result.data).forEach(propName => {
-                    data[propName] = result.data[propName];
-                })
-            }
-
-            ensureCookies(processorInfo.name);
-
-        });
-
-        const handleProcessorError = (processorName, ex) => {
-            traceEnd(processorName, START_TIMER);
-            const errInfo = {
-                occurredIn: processorName,
-                message: ex.message,
-                ex,
-            };
-
-            processorsRun.push({
-                name: processorName,
-                ok: false,
-            })
-
-            context.errors.push(errInfo);
-
-            ensureCookies(processorName);
-
-            ex.doNotLog = ex.doNotLog // allow other arbitrary errors to suppress this logging
-                || ex.isEpiError  // GLG internal thing; kept for backwards compat
-                ;
+        /** Merges in what the given stub says a processor would add. */
+        const applyStub = (stub, procData = data, procContext = context) => {
+            stub.data && Object.assign(procData, stub.data);
+            stub.context && Object.assign(procContext, stub.context);
         }
 
-        const getExecPromise = async processor => {
-            traceStart(processor.name, START_TIMER);
-            if (await processor.runIf(data, context)) {
-                return processor.process(data, context); // it is important for dev convenience to pass in a ref to our current data/context so processors can short circuit without having to return { data, context } (they can return; and have any of their modifications to data/context be carried forward, as would be expected)
+        /** Gets what the given processor would do (without running it), and applies its stub, if any (or adds it to deferredStubs, if given, to apply later). */
+        const explainProcessor = async (processor, procData = data, procContext = context, deferredStubs = null) => {
+            const entry = { type: 'processor', name: processor.name };
+            const failedPrereq = processor.prerequisites.find(prereq => failed.includes(prereq));
+            if (failedPrereq) {
+                return { ...entry, status: 'skip', reason: 'prerequisite', prerequisite: failedPrereq };
             }
-            return Promise.resolve({ data, context });
-        }
 
-        const getExecutable = (processor) => {
-            const execInfo = {};
-            let toExec;
-            if (Array.isArray(processor)) { // if an array is passed for any step in the pipeline, we treat them as parallel
-                execInfo.isParallel = true;
-                execInfo.names = processor.map(p => p && p.name);
-                execInfo.name = `'Parallel: ${JSON.stringify(execInfo.names)}`;
-                toExec = processor;
-            } else {
-                execInfo.name = processor.name;
-                execInfo.isParallel = false;
-                toExec = [processor]; // we map to promises below
+            let shouldRun;
+            try {
+                shouldRun = await processor.runIf(procData, procContext);
+            } catch (ex) {
+                failed.push(processor.name);
+                return { ...entry, status: 'fail', reason: 'runIfError', error: ex };
+            }
+            if (!shouldRun) {
+                if ((processor.runIfMode || runIfMode) === 'require') {
+                    failed.push(processor.name);
+                    return { ...entry, status: 'fail', reason: 'required' };
+                }
+                return { ...entry, status: 'skip', reason: 'runIf' };
             }
 
-            // check prerequisites
-            toExec.map(p => p) // create an array clone so we can modify the base toExec if there's an error in prereq
-                .forEach(processor => {
-                    if (processor.prerequisites.length === 0) { return; }
-
-                    processor.prerequisites.forEach(prereq => {
-                        const procRun = processorsRun.find(p => p.name === prereq);
-                        if (procRun && !procRun.ok) {
-                            error(Errors.PrereqFailedToRun(processor, prereq));
-                            toExec = toExec.filter(p => p !== processor);
-                        }
-                    });
-                })
-
-            // we get a promise for each processor and they resolve/catch as they get done
-            execInfo.promises = toExec.map(p => Promise.resolve(getExecPromise(p)).then(result => aggregateResult(p, result)).catch(ex => handleProcessorError(p.name, ex)));
-            return execInfo;
-        }
-
-        const checkErrors = () => {
-            if (context.errors.length > 0 && !continueOnError) {
-                throw new ProcessError(processName, startingContext, context.errors);
+            const stub = typeof stubs[processor.name] === 'function' ? await stubs[processor.name](procData, procContext) : stubs[processor.name];
+            if (stub) {
+                deferredStubs ? deferredStubs.push(stub) : applyStub(stub, procData, procContext);
+                if (stub.fails) {
+                    failed.push(processor.name);
+                    return { ...entry, status: 'fail', reason: 'stub' };
+                }
             }
+            return { ...entry, status: 'run' };
         }
 
-        try {
-            for (let i = 0; i < processors.length; i++) {
-                checkErrors();
-                const execInfo = getExecutable(processors[i]);
-                if (execInfo.promises.length === 0) { continue; }
-                traceStart(execInfo.name, START_TIMER);
-
-                verbose(`Executing '${execInfo.name}' processor...`);
+        const explainStep = async (step) => {
+            const name = getStepName(step);
+            if (isBranch(step)) {
+                let selected;
                 try {
-                    await Promise.all(execInfo.promises);
+                    selected = await step.selector(data, context);
                 } catch (ex) {
-                    handleProcessorError(execInfo.name, ex);
+                    return { type: 'branch', name, selected: undefined, route: null, steps: [], error: ex };
                 }
-
-                traceEnd(execInfo.name, START_TIMER);
+                const route = Object.prototype.hasOwnProperty.call(step.routes, selected) ? selected : (step.routes.default ? 'default' : null);
+                return { type: 'branch', name, selected, route, steps: route ? await explainSteps(step.routes[route]) : [] };
             }
-
-            if (data.cookies && Object.keys(data.cookies).length === 0) {
-                // no cookies set in process, so remove the auto-appended cookies obj
-                delete data.cookies;
+            if (isRace(step)) {
+                const entries = [];
+                for (const processor of step.processors) {
+                    entries.push(await explainProcessor(processor, { ...data }, { ...context }));
+                }
+                return { type: 'race', name, processors: entries };
             }
-
-            checkErrors(); // if last processor errors, we need to check for that here
-        } catch (ex) {
-            if (!ex.isProcessError) {
-                ex.startingContext = startingContext; // ensure startingContext is available to handlers and logs
-                logError(ex);
-                ex.doNotLog = true; // signal our built-in logging that we logged already
+            if (isEach(step)) {
+                const items = getAtPath({ data, context }, step.itemsPath);
+                if (!Array.isArray(items) && items !== undefined && items !== null) {
+                    failed.push(step.processor.name);
+                    return { type: 'each', name, itemsPath: step.itemsPath, items: [], error: Error(Errors.EachItemsNotArray(step.itemsPath, items)) };
+                }
+                const entries = [];
+                for (const [index, item] of (Array.isArray(items) ? items : []).entries()) {
+                    entries.push({ ...(await explainProcessor(step.processor, {}, { ...context, item, itemIndex: index })), index });
+                }
+                return { type: 'each', name, itemsPath: step.itemsPath, items: entries };
+            }
+            if (Array.isArray(step)) {
+                const entries = [];
+                const deferredStubs = []; // every member's runIf is called before any member is done, so they all see the state from before the group
+                for (const processor of step) {
+                    entries.push(await explainProcessor(processor, data, context, deferredStubs));
+                }
+                deferredStubs.forEach(stub => applyStub(stub));
+                return { type: 'parallel', name, concurrency: step.concurrency || null, isolated: !!step.isolated, processors: entries };
             }
-            throw ex;
+            return explainProcessor(step);
         }
 
-        traceEnd('Process Start', START_TIMER);
-        traceWrite(START_TIMER);
+        const explainSteps = async (steps) => {
+            const planned = [];
+            for (const step of steps) {
+                planned.push(await explainStep(step));
+            }
+            return planned;
+        }
 
-        return { data, errors: context.errors, context };
+        plan.steps = await explainSteps(processors);
+        return plan;
     }
 
     /**
      *
      * Runs the process and, if there are no errors, sends the resultant data to the response. If there are errors, will send an error response.
      *
-     * This is a convenience wrapper for the start function that just adds error and response handling.
+     * This is a convenience wrapper for the start function that just adds error and response handling (and checks the data against the responseSchema, if there is one).
      *
      * @param {Node|Express} res - Node/Express response object.
      * @param {object} startingContext - arbitrary object containing needed context for starting the process. A shallow copy is made that is passed to each processor along with any data each returns.
      * @param {boolean} continueOnError - if your process might be able to continue despite errors in prior processors, set this to true; then inspect context.errors as need. Will throw ProcessError on error if not set.
+     * @param {object} runOptions - optional settings for just this run. See start. If the signal is aborted (e.g. the client disconnected), nothing is written to the response.
      */
-    const send = async (res, startingContext, continueOnError) => {
+    const send = async (res, startingContext, continueOnError, runOptions = {}) => {
+        const isCancelled = () => runOptions.signal && runOptions.signal.aborted;
         try {
-            const { data, errors } = await start(startingContext, continueOnError);
+            const { data: resultData, errors, execution } = await start(startingContext, continueOnError, runOptions);
             if (errors.length > 0) {
-                throw new ProcessError(processName, startingContext, errors);
+                throw Object.assign(new ProcessError(processName, startingContext, errors), { execution });
+            }
+
+            if (isCancelled()) {
+                return verbose(Errors.ResponseClosed(processName));
             }
 
+            // check the shape before we touch the response at all, so a bad response does not still send cookies
+            const data = checkResponseData(resultData, startingContext);
+
             // check for cookies to send
             const cookieNames = data.cookies ? Object.keys(data.cookies) : [];
             if (cookieNames.length > 0) {
@@ -382,21 +2072,49 @@ const compose = (processName, options = {}) => {
 
             sendOk(res, data);
         } catch (ex) {
+            if (isCancelled()) {
+                verbose(Errors.ResponseClosed(processName));
+                // still log any real errors that happened before the cancel
+                if (ex.isProcessError ? !ex.allErrorsLogged() : !ex.doNotLog) {
+                    logError(ex);
+                }
+                return;
+            }
             writeErrors(res, ex);
         }
     }
 
+    /** Gets the given data checked against the responseSchema (if any), stripping extra props as configured. Throws a ProcessError for a 500 if it does not match. */
+    const checkResponseData = (data, startingContext) => {
+        if (!responseSchema) { return data; }
+
+        const { cookies, ...responseData } = data;
+        const { value, errors } = validate(responseSchema, responseData, {
+            removeAdditional: responseSchemaMode === 'strip',
+            rejectAdditional: responseSchemaMode === 'fail',
+        });
+        if (errors.length > 0) {
+            // the details are for our logs. clients just get the usual unexpected error
+            const ex = new ProcessorError(Errors.ResponseInvalid(processName, errors), { statusCode: 500, text: Errors.UnexpectedResponse() });
+            ex.schemaErrors = errors;
+            throw new ProcessError(processName, startingContext, [{ occurredIn: 'responseSchema', message: ex.message, ex }]);
+        }
+
+        return cookies ? { ...value, cookies } : value;
+    }
+
     /**
      * Runs the process and will handle/log any errors generated. Use this when you want to start a process without waiting on it or handling its response.
      *
      * @param {object} startingContext - arbitrary object containing needed context for starting the process. A shallow copy is made that is passed to each processor along with any data each returns.
      * @param {boolean} continueOnError - if your process might be able to continue despite errors in prior processors, set this to true; then inspect context.errors as need. Will throw ProcessError on error if not set.
+     * @param {object} runOptions - optional settings for just this run. See start.
      */
-    const fireAndForget = async (startingContext, continueOnError) => {
+    const fireAndForget = async (startingContext, continueOnError, runOptions) => {
         try {
-            const { errors } = await start(startingContext, continueOnError);
+            const { errors, execution } = await start(startingContext, continueOnError, runOptions);
             if (errors.length > 0) { // handle continue on error errors by throwing and logging
-                throw new ProcessError(processName, startingContext, errors);
+                throw Object.assign(new ProcessError(processName, startingContext, errors), { execution });
             }
         } catch (ex) {
             if (!ex.isProcessError || !ex.allErrorsLogged()) {
@@ -405,7 +2123,73 @@ const compose = (processName, options = {}) => {
         }
     }
 
-    /** Gets a node/Express request/response handler function for this process. */
+    /**
+     * Gets this process wrapped as a processor, so it can run as a nested step in another process. Nested failures are thrown as a ProcessorError that carries the most severe nested status code/response info, with the nested ProcessError on its processError property.
+     *
+     * @param {object} options - optional nesting configuration (any other processor options, like runIf or timeout, are passed along):
+     *      - {string} name - name of the step in the parent process. Default: this process's name
+     *      - {string} scope - 'shared' (default) starts with copies of the parent's data/context and carries all changes back to the parent. 'isolated' starts with a copy of the parent's context and empty data, and carries back only data.
+     *      - {string} dataKey - for 'isolated' scope, if given, puts the nested data on this property of the parent data instead of merging it in
+     */
+    const asProcessor = (options = {}) => {
+        const { name = processName, scope = 'shared', dataKey, ...processorOptions } = options;
+        if (!NESTED_SCOPES.includes(scope)) {
+            throw Error(Errors.InvalidNestedScope(scope));
+        }
+
+        const process = async (parentData, parentContext) => {
+            const isShared = scope === 'shared';
+            let result;
+            try {
+                result = await start(parentContext, false, { data: isShared ? parentData : undefined, signal: parentContext.signal });
+            } catch (ex) {
+                throw toNestedError(ex);
+            }
+
+            const nestedData = { ...result.data };
+            if (!nestedData.cookies || Object.keys(nestedData.cookies).length === 0) {
+                delete nestedData.cookies; // do not clobber the parent's cookies with an empty object
+            }
+
+            if (!isShared) {
+                return { data: dataKey ? { [dataKey]: nestedData } : nestedData };
+            }
+
+            const nestedContext = { ...result.context };
+            RUN_CONTEXT_PROPS.forEach(prop => delete nestedContext[prop]);
+            return { data: nestedData, context: nestedContext };
+        }
+
+        return {
+            ...processorOptions,
+            name,
+            process,
+        };
+    }
+
+    /** Converts an error from a nested run into a ProcessorError for the parent process. */
+    const toNestedError = ex => {
+        if (ex.isProcessorError) {
+            return ex;
+        }
+
+        let nestedEx;
+        if (ex.isProcessError) {
+            const mostSevere = ex.getMostSevereProcessorError() || {};
+            nestedEx = new ProcessorError(Errors.NestedProcessFailed(processName, ex.errorsFromProcessors.map(err => err.occurredIn)), {
+                ...mostSevere.responseInfo,
+                text: (mostSevere.responseInfo && mostSevere.responseInfo.text) || mostSevere.message || ex.message, // respond as the nested process would have
+            });
+            nestedEx.doNotLog = ex.allErrorsLogged();
+        } else {
+            nestedEx = new ProcessorError(ex.message, { errors: ex.details });
+            nestedEx.doNotLog = ex.doNotLog;
+        }
+        nestedEx.processError = ex;
+        return nestedEx;
+    }
+
+    /** Gets a node/Express request/response handler function for this process. If the client disconnects before the response is sent, the run is cancelled. */
     const getHttpHandler = () => async (req, res, next) => {
         if (!req) {
             throw Error(Errors.InvalidRequestObject());
@@ -422,7 +2206,17 @@ const compose = (processName, options = {}) => {
             },
             req,
         };
-        await send(res, context);
+
+        // cancel the run if the connection closes before we finish responding
+        const abortController = createAbortController();
+        const onClose = () => !res.writableEnded && abortController.abort();
+        const canListen = abortController && typeof res.on === 'function';
+        canListen && res.on('close', onClose);
+        try {
+            await send(res, context, false, { signal: abortController && abortController.signal });
+        } finally {
+            canListen && typeof res.removeListener === 'function' && res.removeListener('close', onClose);
+        }
 
         if (typeof next === 'function') {
             next();
@@ -474,7 +2268,7 @@ const compose = (processName, options = {}) => {
         }
     }
 
-    const validatePrerequisites = (processor, loaded = processors.flat(Infinity)) => {
+    const validatePrerequisites = (processor, loaded = flattenSteps(processors)) => {
         if (processor && Array.isArray(processor.prerequisites)) {
             const missingPrereqs = processor.prerequisites.filter(prereq => !loaded.some(p => p.name === prereq));
             if (missingPrereqs.length > 0) {
@@ -483,6 +2277,17 @@ const compose = (processName, options = {}) => {
         }
     }
 
+    /** Checks that every path the processor reads is written by one of the given (earlier) processors, provided by the process, or one of the given extra paths. */
+    const validateReads = (processor, loaded = flattenSteps(processors), extraPaths = []) => {
+        if (processor && Array.isArray(processor.reads)) {
+            const written = loaded.reduce((paths, p) => paths.concat(p.writes || []), [...provides, ...extraPaths]);
+            const unmetReads = processor.reads.filter(read => !written.some(writePath => pathsOverlap(read, writePath)));
+            if (unmetReads.length > 0) {
+                addInvalidProcessor(processor.name, Errors.UnmetReads(unmetReads));
+            }
+        }
+    }
+
     const validatePipeline = (pipeline, allLoaded = [], loadedThisLevel = allLoaded) => {
         if (!Array.isArray(pipeline)) {
             const msg = Errors.InvalidPipeline();
@@ -499,23 +2304,97 @@ const compose = (processName, options = {}) => {
                 return;
             }
 
+            if (isEach(processor)) {
+                if (loadedThisLevel !== allLoaded) {
+                    addInvalidProcessor(getStepName(processor), Errors.EachInParallel());
+                    return;
+                }
+                validatePrerequisites(processor.processor, allLoaded);
+                validateReads(processor.processor, allLoaded, ['context.item', 'context.itemIndex']);
+                // the processor's writes are to each item's own data, so what later steps can read is the list of results
+                loadedThisLevel.push({ ...processor.processor, writes: [`data.${processor.resultKey || processor.processor.name}`] });
+                return;
+            }
+
+            if (isRace(processor)) {
+                if (loadedThisLevel !== allLoaded) {
+                    addInvalidProcessor(getStepName(processor), Errors.RaceInParallel());
+                    return;
+                }
+                // like parallel, racers cannot rely on each other. and since we cannot know which will win, later steps cannot rely on any of them
+                validatePipeline(processor.processors, allLoaded, []);
+                return;
+            }
+
+            if (isBranch(processor)) {
+                if (loadedThisLevel !== allLoaded) {
+                    addInvalidProcessor(getStepName(processor), Errors.BranchInParallel());
+                    return;
+                }
+                // each route can only rely on what ran before the branch (and earlier in its own route), not on its sibling routes
+                const loadedByRoute = Object.keys(processor.routes).map(key => {
+                    const routeLoaded = [...allLoaded];
+                    validatePipeline(processor.routes[key], routeLoaded);
+                    return routeLoaded.slice(allLoaded.length);
+                });
+                // and later steps can only rely on what every route runs. with no default route, the branch might run nothing at all
+                if (processor.routes.default) {
+                    const [firstRoute, ...otherRoutes] = loadedByRoute;
+                    allLoaded.push(...firstRoute.filter(p => otherRoutes.every(route => route.some(routeP => routeP.name === p.name))));
+                }
+                return;
+            }
+
             validatePrerequisites(processor, allLoaded);
+            validateReads(processor, allLoaded);
             loadedThisLevel.push(processor);
         })
     }
 
-    if (processorsPath) {
+    if (processorsPath || pipeline) {
         const importProcessors = (processorEntries) => {
             if (Array.isArray(processorEntries)) {
                 return processorEntries.map(entry => {
                     if (Array.isArray(entry)) {
-                        return importProcessors(entry);
+                        return withGroupOptions(importProcessors(entry), entry);
+                    }
+
+                    if (isBranch(entry)) {
+                        return { ...entry, routes: mapRoutes(entry.routes, importProcessors) };
+                    }
+
+                    if (isRace(entry)) {
+                        return { ...entry, processors: importProcessors(entry.processors) };
+                    }
+
+                    if (isEach(entry)) {
+                        const [processor] = importProcessors([entry.processor]);
+                        return processor ? { ...entry, processor } : null;
+                    }
+
+                    if (isRealObj(entry)) { // a composed process (or a processor object from asProcessor) to run as a step
+                        const nested = isComposedProcess(entry) ? entry.asProcessor() : entry;
+                        try {
+                            return createProcessor(nested.name, nested);
+                        } catch (ex) {
+                            error(Errors.ProcessorCreationFailure(nested.name, processName), ex);
+                            addInvalidProcessor(nested.name, ex.message);
+                            return null;
+                        }
+                    }
+
+                    if (!processorsPath) {
+                        const msg = Errors.NoProcessorsPath(entry);
+                        error(msg);
+                        addInvalidProcessor(entry, msg);
+                        return null;
                     }
 
                     let module;
                     try {
                         traceStart('Import ' + entry, processName);
                         module = require(path.join(processorsPath, entry));
+                        sourcePaths[entry] = require.resolve(path.join(processorsPath, entry));
                         traceEnd('Import ' + entry, processName);
                     } catch (ex) {
                         console.error(ex)
@@ -537,14 +2416,25 @@ const compose = (processName, options = {}) => {
             }
         }
 
-        if (!fs.existsSync(String(processorsPath))) {
+        if (processorsPath && !fs.existsSync(String(processorsPath))) {
             invalidConfigs.push('Invalid processors path.');
             error(Errors.InvalidProcessorsPath(processorsPath));
         } else {
-            verbose(`Registering processors in: '${processorsPath}'`)
+            processorsPath && verbose(`Registering processors in: '${processorsPath}'`)
             /** if they give us a list of processors to use, we use that; otherwise, we get all in the directory, and we run those all in parallel if so. */
             const processorEntries = pipeline ? pipeline : parallel(fs.readdirSync(processorsPath).map(file => getModuleName(file)));
             processors = importProcessors(processorEntries);
+
+            if (!pipeline && schedule === 'prerequisites') {
+                const { levels, unscheduled } = scheduleByPrerequisites(processors[0]);
+                if (unscheduled.length > 0) {
+                    const msg = Errors.PrerequisiteCycle(unscheduled.map(p => p.name));
+                    error(msg);
+                    unscheduled.forEach(processor => addInvalidProcessor(processor.name, msg));
+                }
+                processors = levels.map(level => level.length === 1 ? level[0] : level);
+                verbose(`Scheduled '${processName}' by prerequisites: ${processors.map(getStepName).join(' -> ')}`);
+            }
         }
     }
 
@@ -558,10 +2448,19 @@ const compose = (processName, options = {}) => {
         deregister,
         use: getHttpHandler,
         start,
+        explain,
+        describe,
+        toMermaid: () => diagram.toMermaid(getPipelineGraph(processName, processors, invalidConfigs)),
+        toDot: () => diagram.toDot(getPipelineGraph(processName, processors, invalidConfigs)),
         send,
         writeErrors,
         fireAndForget,
+        asProcessor,
+        on: (eventName, listener) => { emitter.on(eventName, listener); return selfExports; },
+        once: (eventName, listener) => { emitter.once(eventName, listener); return selfExports; },
+        off: (eventName, listener) => { emitter.off(eventName, listener); return selfExports; },
         processName,
+        isComposedProcess: true,
     }
 
     Object.keys(selfExports).forEach(key => {
@@ -592,5 +2491,8 @@ module.exports = {
     compose,
     single,
     parallel,
+    race,
+    branch,
+    each,
     ProcessorError,
 }
\ No newline at end of file
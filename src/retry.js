@@ -0,0 +1,119 @@
+const isRealObj = require('./isRealObj');
+
+/** Error messages used for retry policy validation. */
+const Errors = {
+    RetryNotObject: (retry) => `Processor retry must be an object describing the retry policy. Was: type ${typeof retry}: ${retry}`,
+    AttemptsNotPositiveInt: (attempts) => `Retry attempts must be a positive integer (the total number of times to try). Was: type ${typeof attempts}: ${attempts}`,
+    InvalidBackoff: (backoff) => `Retry backoff must be one of ${JSON.stringify(BACKOFF_STRATEGIES)} or a function of (attempt) => ms. Was: type ${typeof backoff}: ${backoff}`,
+    DelayNotNonNegative: (delay) => `Retry delay must be a number of ms, 0 or greater. Was: type ${typeof delay}: ${delay}`,
+    InvalidJitter: (jitter) => `Retry jitter must be a boolean or a number from 0 to 1. Was: type ${typeof jitter}: ${jitter}`,
+    RetryIfNotFunction: (retryIf) => `Retry retryIf must be a function of (ex, attempt) => boolean. Was: type ${typeof retryIf}`,
+}
+
+const BACKOFF_STRATEGIES = ['fixed', 'linear', 'exponential'];
+
+const DEFAULT_DELAY = 100;
+
+/** By default, we retry anything except ProcessorErrors that indicate a client problem (i.e. < 500), since those will not get better by trying again. */
+const defaultRetryIf = ex => !(ex && ex.isProcessorError && ex.responseInfo.statusCode < 500);
+
+/**
+ * Validates the given retry export and returns it with defaults filled in. Throws if invalid.
+ *
+ * @param {object} retry - retry policy:
+ *      - {number} attempts - total number of times to try the processor (including the first). Default: 1
+ *      - {string|function} backoff - 'fixed', 'linear', 'exponential', or a function (attempt) => ms that returns the delay before the given attempt. Default: 'fixed'
+ *      - {number} delay - base delay (ms) used by the named backoff strategies. Default: 100
+ *      - {boolean|number} jitter - true to randomize the whole delay, or a number from 0 to 1 for the fraction of the delay to randomize. Default: false
+ *      - {function} retryIf - (ex, attempt) => boolean, says whether the error is worth retrying. Default: retries all but ProcessorErrors with a status code < 500
+ */
+const createRetryPolicy = (retry) => {
+    if (!isRealObj(retry)) {
+        throw Error(Errors.RetryNotObject(retry));
+    }
+
+    const {
+        attempts = 1,
+        backoff = 'fixed',
+        delay = DEFAULT_DELAY,
+        jitter = false,
+        retryIf = defaultRetryIf,
+    } = retry;
+
+    if (!Number.isInteger(attempts) || attempts < 1) {
+        throw Error(Errors.AttemptsNotPositiveInt(attempts));
+    }
+    if (typeof backoff !== 'function' && !BACKOFF_STRATEGIES.includes(backoff)) {
+        throw Error(Errors.InvalidBackoff(backoff));
+    }
+    if (typeof delay !== 'number' || !(delay >= 0)) {
+        throw Error(Errors.DelayNotNonNegative(delay));
+    }
+    if (!(typeof jitter === 'boolean' || (typeof jitter === 'number' && jitter >= 0 && jitter <= 1))) {
+        throw Error(Errors.InvalidJitter(jitter));
+    }
+    if (typeof retryIf !== 'function') {
+        throw Error(Errors.RetryIfNotFunction(retryIf));
+    }
+
+    return { attempts, backoff, delay, jitter, retryIf };
+}
+
+/**
+ * Gets the delay (ms) to wait before the given attempt.
+ *
+ * @param {object} policy - policy from createRetryPolicy
+ * @param {number} attempt - the attempt about to be made (2 for the first retry)
+ */
+const getRetryDelay = (policy, attempt) => {
+    const { backoff, delay, jitter } = policy;
+    const retryNumber = attempt - 1;
+
+    let ms;
+    if (typeof backoff === 'function') {
+        ms = Number(backoff(attempt)) || 0;
+    } else if (backoff === 'exponential') {
+        ms = delay * Math.pow(2, retryNumber - 1);
+    } else if (backoff === 'linear') {
+        ms = delay * retryNumber;
+    } else {
+        ms = delay;
+    }
+
+    const jitterRatio = jitter === true ? 1 : Number(jitter);
+    if (jitterRatio > 0) {
+        // randomize the jitter portion of the delay so many callers retrying at once do not all hit the same backend in lockstep
+        ms = ms - (ms * jitterRatio * Math.random());
+    }
+
+    return Math.max(0, Math.round(ms));
+}
+
+/**
+ * Waits the given number of ms, or until the given signal aborts, whichever comes first.
+ *
+ * @param {number} ms - how long to wait
+ * @param {AbortSignal} signal - optional signal to stop waiting on
+ * @returns {Promise}
+ */
+const wait = (ms, signal) => new Promise(resolve => {
+    if (signal && signal.aborted) {
+        return resolve();
+    }
+    const done = () => {
+        clearTimeout(timer);
+        signal && signal.removeEventListener('abort', done);
+        resolve();
+    }
+    const timer = setTimeout(done, ms);
+    signal && signal.addEventListener('abort', done, { once: true });
+});
+
+module.exports = {
+    Errors,
+    BACKOFF_STRATEGIES,
+
+    createRetryPolicy,
+    getRetryDelay,
+    wait,
+}
@@ -0,0 +1,232 @@
+const isRealObj = require('./isRealObj');
+
+/** Error messages used for schema checking and validation. */
+const Errors = {
+    SchemaNotObject: (schemaPath) => `Schema at '${schemaPath}' must be an object.`,
+    InvalidType: (schemaPath, type) => `Schema type at '${schemaPath}' must be one of ${JSON.stringify(SCHEMA_TYPES)}. Was: ${type}`,
+    PropertiesNotObject: (schemaPath) => `Schema properties at '${schemaPath}' must be an object mapping property names to schemas.`,
+    RequiredNotStrings: (schemaPath) => `Schema required at '${schemaPath}' must be an array of property names.`,
+    EnumNotArray: (schemaPath) => `Schema enum at '${schemaPath}' must be an array of allowed values.`,
+    KeywordNotNumber: (schemaPath, keyword) => `Schema ${keyword} at '${schemaPath}' must be a number.`,
+    PatternInvalid: (schemaPath, pattern) => `Schema pattern at '${schemaPath}' must be a valid regular expression string. Was: ${pattern}`,
+    AdditionalPropertiesNotBoolean: (schemaPath) => `Schema additionalProperties at '${schemaPath}' must be a boolean.`,
+
+    // validation messages (for the field named on the error)
+    Required: () => 'is required',
+    WrongType: (type) => `must be of type ${type}`,
+    NotInEnum: (values) => `must be one of ${JSON.stringify(values)}`,
+    BelowMinimum: (minimum) => `must be at least ${minimum}`,
+    AboveMaximum: (maximum) => `must be at most ${maximum}`,
+    TooShort: (minLength) => `must be at least ${minLength} characters`,
+    TooLong: (maxLength) => `must be at most ${maxLength} characters`,
+    PatternMismatch: (pattern) => `must match pattern ${pattern}`,
+    TooFewItems: (minItems) => `must have at least ${minItems} items`,
+    TooManyItems: (maxItems) => `must have at most ${maxItems} items`,
+    NotAllowed: () => 'is not allowed',
+}
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+const NUMBER_KEYWORDS = ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems'];
+
+/** Checks if the given value is of the given schema type. */
+const isType = (type, value) => {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return isRealObj(value);
+        case 'array': return Array.isArray(value);
+        default: return true;
+    }
+}
+
+/** Converts values as they come in from HTTP requests (i.e., mostly strings) to the given type, if they cleanly convert. Otherwise, returns the value as is. */
+const coerce = (type, value) => {
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+        return String(value);
+    }
+    if (type === 'array' && !Array.isArray(value)) {
+        return [value]; // e.g., a query string param that was only given once
+    }
+    return value;
+}
+
+/** Gets the field name for a property/item inside the given field, e.g. 'address.zip' or 'tags[0]'. */
+const joinField = (field, key) => typeof key === 'number' ? `${field}[${key}]` : (field ? `${field}.${key}` : key);
+
+/** Gets if the given pattern is a string that makes a valid RegExp. */
+const isValidPattern = pattern => {
+    if (typeof pattern !== 'string') { return false; }
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (ex) {
+        return false;
+    }
+}
+
+/** Gets a copy of a default value, so runs cannot change it for later runs. */
+const copyDefault = value => (value !== null && typeof value === 'object') ? JSON.parse(JSON.stringify(value)) : value;
+
+/**
+ * Checks that the given schema is one we know how to validate with. Used at compose time, so bad schemas surface as configuration errors.
+ *
+ * @param {object} schema - JSON-Schema-like schema (see validate for supported keywords)
+ * @param {string} schemaPath - where this schema is, for error messages
+ * @returns {Array<string>} - problems found (empty if none)
+ */
+const checkSchema = (schema, schemaPath = 'schema') => {
+    if (!isRealObj(schema)) {
+        return [Errors.SchemaNotObject(schemaPath)];
+    }
+
+    const problems = [];
+    const { type, properties, required, items, enum: allowed, pattern, additionalProperties } = schema;
+    if (type !== undefined && !SCHEMA_TYPES.includes(type)) {
+        problems.push(Errors.InvalidType(schemaPath, type));
+    }
+    if (properties !== undefined) {
+        if (!isRealObj(properties)) {
+            problems.push(Errors.PropertiesNotObject(schemaPath));
+        } else {
+            Object.keys(properties).forEach(key => problems.push(...checkSchema(properties[key], `${schemaPath}.properties.${key}`)));
+        }
+    }
+    if (required !== undefined && !(Array.isArray(required) && required.every(key => typeof key === 'string'))) {
+        problems.push(Errors.RequiredNotStrings(schemaPath));
+    }
+    if (items !== undefined) {
+        problems.push(...checkSchema(items, `${schemaPath}.items`));
+    }
+    if (allowed !== undefined && !Array.isArray(allowed)) {
+        problems.push(Errors.EnumNotArray(schemaPath));
+    }
+    NUMBER_KEYWORDS.forEach(keyword => {
+        if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+            problems.push(Errors.KeywordNotNumber(schemaPath, keyword));
+        }
+    });
+    if (pattern !== undefined && !isValidPattern(pattern)) {
+        problems.push(Errors.PatternInvalid(schemaPath, pattern));
+    }
+    if (additionalProperties !== undefined && typeof additionalProperties !== 'boolean') {
+        problems.push(Errors.AdditionalPropertiesNotBoolean(schemaPath));
+    }
+
+    return problems;
+}
+
+/** Validates (and coerces/strips, per options) one value, adding any errors to the given list. Returns the value to use. */
+const validateValue = (schema, value, field, options, errors) => {
+    const { type } = schema;
+    if (options.coerce && type) {
+        value = coerce(type, value);
+    }
+
+    if (type && !isType(type, value)) {
+        errors.push({ field, message: Errors.WrongType(type) });
+        return value;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push({ field, message: Errors.NotInEnum(schema.enum) });
+    }
+
+    if (typeof value === 'number') {
+        schema.minimum !== undefined && value < schema.minimum && errors.push({ field, message: Errors.BelowMinimum(schema.minimum) });
+        schema.maximum !== undefined && value > schema.maximum && errors.push({ field, message: Errors.AboveMaximum(schema.maximum) });
+    }
+
+    if (typeof value === 'string') {
+        schema.minLength !== undefined && value.length < schema.minLength && errors.push({ field, message: Errors.TooShort(schema.minLength) });
+        schema.maxLength !== undefined && value.length > schema.maxLength && errors.push({ field, message: Errors.TooLong(schema.maxLength) });
+        schema.pattern !== undefined && !new RegExp(schema.pattern).test(value) && errors.push({ field, message: Errors.PatternMismatch(schema.pattern) });
+    }
+
+    if (Array.isArray(value)) {
+        schema.minItems !== undefined && value.length < schema.minItems && errors.push({ field, message: Errors.TooFewItems(schema.minItems) });
+        schema.maxItems !== undefined && value.length > schema.maxItems && errors.push({ field, message: Errors.TooManyItems(schema.maxItems) });
+        if (schema.items) {
+            value = value.map((item, index) => validateValue(schema.items, item, joinField(field, index), options, errors));
+        }
+    }
+
+    if (isRealObj(value) && (schema.properties || schema.required || schema.additionalProperties === false)) {
+        value = validateObject(schema, value, field, options, errors);
+    }
+
+    return value;
+}
+
+/** Validates the properties of an object value, returning a copy with any coerced, defaulted, or stripped properties. */
+const validateObject = (schema, value, field, options, errors) => {
+    const { properties = {}, required = [], additionalProperties } = schema;
+    const result = { ...value };
+
+    Object.keys(properties).forEach(key => {
+        const propField = joinField(field, key);
+        let propValue = result[key];
+        if (propValue === undefined && properties[key].default !== undefined) {
+            propValue = copyDefault(properties[key].default);
+        }
+        if (propValue === undefined) {
+            required.includes(key) && errors.push({ field: propField, message: Errors.Required() });
+            return;
+        }
+        result[key] = validateValue(properties[key], propValue, propField, options, errors);
+    });
+    // required props without a schema of their own
+    required.filter(key => !properties[key] && result[key] === undefined).forEach(key => errors.push({ field: joinField(field, key), message: Errors.Required() }));
+
+    Object.keys(result).filter(key => !properties[key]).forEach(key => {
+        if (options.removeAdditional && additionalProperties !== true) {
+            delete result[key];
+        } else if (additionalProperties === false || (options.rejectAdditional && additionalProperties !== true)) {
+            errors.push({ field: joinField(field, key), message: Errors.NotAllowed() });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Validates the given value against the given schema. Does not change the given value.
+ *
+ * Supports a practical subset of JSON Schema:
+ *      - type - 'string', 'number', 'integer', 'boolean', 'object', or 'array'
+ *      - properties, required, additionalProperties (boolean) - for objects
+ *      - items, minItems, maxItems - for arrays
+ *      - minimum, maximum - for numbers
+ *      - minLength, maxLength, pattern - for strings
+ *      - enum - list of allowed values
+ *      - default - value used for a missing property
+ *
+ * @param {object} schema - schema to validate against. Should be checked with checkSchema first.
+ * @param {any} value - value to validate
+ * @param {object} options - optional settings:
+ *      - {boolean} coerce - if true, converts strings (like HTTP params) to the schema's number/integer/boolean types, and single values to arrays
+ *      - {boolean} removeAdditional - if true, removes object properties not in the schema's properties (unless additionalProperties is true), rather than failing on them
+ *      - {boolean} rejectAdditional - if true, fails on object properties not in the schema's properties (unless additionalProperties is true), as if additionalProperties were false
+ * @returns {object} - { value, errors } where value is the validated (and coerced/defaulted/stripped) value and errors is a list of { field, message }
+ */
+const validate = (schema, value, options = {}) => {
+    const errors = [];
+    const validated = validateValue(schema, value, '', options, errors);
+    return { value: validated, errors };
+}
+
+module.exports = {
+    Errors,
+    SCHEMA_TYPES,
+
+    checkSchema,
+    validate,
+}
@@ -1,31 +1,45 @@
 /**
- * Simple utility for basic operation tracing. It just uses Date and only tracks ms. If you need fancier (and more complicated), use https://nodejs.org/api/perf_hooks.html
+ * Simple utility for basic operation tracing. Uses perf_hooks for high-resolution timing (in fractional ms).
+ *
+ * Traces are logged when the TRACE_TIME env var is set (to true, or to a minimum ms for a batch to be logged).
+ * To collect finished batches in code (e.g., to send them somewhere other than the console), add a listener with onBatchFinished. Traces are also kept when there are listeners, even if TRACE_TIME is not set.
  */
+const { performance } = require('perf_hooks');
 
 let timers = {};
+const batchListeners = [];
 const TRACE_TIME = process.env.TRACE_TIME;
 const shouldTraceTime = TRACE_TIME === true || /true/i.test(TRACE_TIME) || TRACE_TIME > 0;
 const DEFAULT_MIN_DURATION = (TRACE_TIME !== true && TRACE_TIME > 0) ? Number(TRACE_TIME) : 0;
 
+/** Gets if traces should be kept, i.e., if they will be logged or collected. */
+const isTracing = () => shouldTraceTime || batchListeners.length > 0;
+
+/** Gets the key for a batch. Batches for a run are keyed by its run id too, so concurrent runs of the same batch do not share (and overwrite) traces. */
+const getTimerKey = (batchName, runId) => runId !== undefined ? `${batchName} [${runId}]` : batchName;
+
 /**
  * Start a timed trace for your code. Call traceEnd to mark the end point.
  *
  * @param {string} name - dev-friendly name of the thing you are tracing
  * @param {string} batchName - supplying a batch name will allow you to group and report on multiple timer traces in one related report
  * @param {boolean} batchStartOnly - use this when you want to use a trace timer to specify the start and end of the batch to get its total duration, instead of just adding up all the individual items
+ * @param {string} runId - optional id of the run the batch is for, so runs of the same batch at the same time each get their own (see createRunTracer)
  *
  * Using batchStartOnly can be useful if you have a larger/surrounding thing that you want to time, with more detailed timers. You can set this when you want to start timing the whole batch, and call traceEnd with the same key later to indicate the end of the batch.
  * Otherwise, we report just a simple sum of the individuals, which may not be indicative of the whole conceptual batch.
  */
-const traceStart = (name, batchName, batchStartOnly = false) => {
-    if (!shouldTraceTime) { return; }
+const traceStart = (name, batchName, batchStartOnly = false, runId) => {
+    if (!isTracing()) { return; }
 
-    const start = new Date();
-    const timerKey = batchName || name;
+    const start = performance.now();
+    const timerKey = getTimerKey(batchName || name, runId);
     let timer = timers[timerKey];
     if (!timer) {
         timer = {
             batchName,
+            runId,
+            startedAt: performance.timeOrigin + start,
             traces: {},
         }
         timers[timerKey] = timer;
@@ -41,12 +55,13 @@ const traceStart = (name, batchName, batchStartOnly = false) => {
  * @param {string} name - dev-friendly name of the thing you are tracing; must be the same as what was passed earlier to traceStart, else it will error.
  * @param {string} batchName - same as the batchName supplied in traceStart; otherwise it will fail to find the trace
  * @param {number} minDuration - optional minimum duration, which controls whether or not to log something based on its duration
+ * @param {string} runId - same as the runId supplied in traceStart, if any
  */
-const traceEnd = (name, batchName, minDuration) => {
-    if (!shouldTraceTime) { return; }
+const traceEnd = (name, batchName, minDuration, runId) => {
+    if (!isTracing()) { return; }
 
-    const end = new Date();
-    const timerName = batchName || name;
+    const end = performance.now();
+    const timerName = getTimerKey(batchName || name, runId);
     const timer = timers[timerName];
     if (!timer) {
         console.warn('Missing Timer for:', timerName);
@@ -60,6 +75,8 @@ const traceEnd = (name, batchName, minDuration) => {
     trace.end = end;
     if (!batchName) {
         __finalize(timer, timerName, minDuration, true, true);
+        delete timers[timerName];
+        notifyBatchFinished(timer);
     }
 }
 
@@ -95,7 +112,7 @@ const __finalize = (timer, batchName, minDuration = DEFAULT_MIN_DURATION, should
 
     timer.totalDuration = totalDuration;
 
-    if (!shouldLog || totalDuration < minDuration) {
+    if (!shouldLog || !shouldTraceTime || totalDuration < minDuration) {
         return;
     }
 
@@ -107,24 +124,38 @@ ${traces}
     console.log(logMsg);
 }
 
+/** Passes the given finished batch to each batch listener. Listener errors are logged, since they should not break what was traced. */
+const notifyBatchFinished = (timer) => {
+    batchListeners.forEach(listener => {
+        try {
+            listener(timer);
+        } catch (ex) {
+            console.error('Trace batch listener failed:', ex);
+        }
+    });
+}
+
 /**
- * Writes to console.log the results of the batch and returns the batch.
+ * Writes to console.log the results of the batch (if TRACE_TIME is set) and returns the batch.
  *
  * @param {string} batchName - batchName that matches a batch you have created traces for.
  * @param {number} minDuration - optional minimum duration (ms), which controls whether or not to log the batch based on its total duration.  (Defaults to process.env.TRACE_TIME if that is set with a number.)
+ * @param {string} runId - same as the runId supplied in traceStart, if any
  */
-const traceWrite = (batchName, minDuration) => {
-    if (!shouldTraceTime) { return; }
+const traceWrite = (batchName, minDuration, runId) => {
+    if (!isTracing()) { return; }
 
-    const timer = timers[batchName];
+    const timerKey = getTimerKey(batchName, runId);
+    const timer = timers[timerKey];
     if (!timer) {
-        console.warn('Missing Timer for:', batchName);
+        console.warn('Missing Timer for:', timerKey);
         return;
     }
 
-    __finalize(timer, batchName, minDuration, true);
+    __finalize(timer, timerKey, minDuration, true);
 
-    delete timers[batchName];
+    delete timers[timerKey];
+    notifyBatchFinished(timer);
 
     return timer;
 }
@@ -133,16 +164,58 @@ const traceWrite = (batchName, minDuration) => {
  * Finalizes the batch and returns the timer with the batch data.
  *
  * @param {string} batchName - batchName that matches a batch you have created traces for.
+ * @param {string} runId - same as the runId supplied in traceStart, if any
  */
-const batchEnd = (batchName) => {
-    const timer = timers[batchName];
+const batchEnd = (batchName, runId) => {
+    const timerKey = getTimerKey(batchName, runId);
+    const timer = timers[timerKey];
+    if (!timer) {
+        return;
+    }
 
-    __finalize(timer, batchName, undefined, false);
+    __finalize(timer, timerKey, undefined, false);
 
-    delete timers[batchName];
+    delete timers[timerKey];
+    notifyBatchFinished(timer);
 
     return timer;
+}
 
+/**
+ * Gets trace functions for one run of a batch, so you do not have to pass the batch name and run id to each call.
+ *
+ * @param {string} batchName - name of the batch, e.g. 'Start -> Get Order'
+ * @param {string} runId - id of the run (e.g., context.runId), so concurrent runs of the batch do not share traces
+ * @returns {object} - { traceStart(name, batchStartOnly), traceEnd(name), traceWrite(minDuration) }
+ */
+const createRunTracer = (batchName, runId) => ({
+    traceStart: (name, batchStartOnly) => traceStart(name, batchName, batchStartOnly, runId),
+    traceEnd: (name) => traceEnd(name, batchName, undefined, runId),
+    traceWrite: (minDuration) => traceWrite(batchName, minDuration, runId),
+});
+
+/**
+ * Adds a listener that is called with each batch when it finishes (with traceWrite or batchEnd), or with single traces (no batch) when they end.
+ * The batch is { batchName, runId, startedAt, totalDuration, traces } where startedAt is epoch ms and traces maps trace name to { start, end, duration, batchStart } (high-resolution ms).
+ *
+ * @param {function} listener - (batch) => void
+ * @returns {function} - call to remove the listener
+ */
+const onBatchFinished = (listener) => {
+    batchListeners.push(listener);
+    return () => offBatchFinished(listener);
+}
+
+/**
+ * Removes a listener added with onBatchFinished.
+ *
+ * @param {function} listener - the listener to remove
+ */
+const offBatchFinished = (listener) => {
+    const index = batchListeners.indexOf(listener);
+    if (index >= 0) {
+        batchListeners.splice(index, 1);
+    }
 }
 
 module.exports = {
@@ -150,4 +223,7 @@ module.exports = {
     traceEnd,
     traceWrite,
     batchEnd,
+    createRunTracer,
+    onBatchFinished,
+    offBatchFinished,
 }
\ No newline at end of file
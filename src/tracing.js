@@ -0,0 +1,170 @@
+/**
+ * Pluggable span tracing, so process runs can feed distributed tracing.
+ *
+ * A tracer is any object with a startActiveSpan(name, options, fn) function shaped like OpenTelemetry's: it starts a span, makes it the active span while fn runs (so spans started inside are its children), and returns what fn returns.
+ * So an OpenTelemetry tracer (e.g., from trace.getTracer('my-service')) can be used as is. The span given to fn needs setAttribute, setStatus, recordException, and end.
+ *
+ * By default, the tracer is a no-op. Use createMemoryTracer for tests.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const isRealObj = require('./isRealObj');
+
+/** Error messages used for tracer validation. */
+const Errors = {
+    TracerInvalid: (tracer) => `Tracer must be an object with a startActiveSpan function (like an OpenTelemetry tracer). Was: type ${typeof tracer}: ${tracer}`,
+}
+
+/** Same values as OpenTelemetry's SpanStatusCode. */
+const SPAN_STATUS_CODES = {
+    UNSET: 0,
+    OK: 1,
+    ERROR: 2,
+}
+
+/** Names of the span attributes we set. */
+const SPAN_ATTRIBUTES = {
+    PROCESS_NAME: 'compozor.process.name',
+    RUN_ID: 'compozor.run.id',
+    PROCESSOR_NAME: 'compozor.processor.name',
+    PARALLEL_GROUP: 'compozor.parallel.group',
+    SKIP_REASON: 'compozor.skip.reason',
+    SKIP_PREREQUISITE: 'compozor.skip.prerequisite',
+    ATTEMPTS: 'compozor.processor.attempts',
+    STATUS_CODE: 'compozor.error.status_code',
+}
+
+const noopSpan = {
+    setAttribute: () => noopSpan,
+    setAttributes: () => noopSpan,
+    setStatus: () => noopSpan,
+    recordException: () => { },
+    end: () => { },
+    isRecording: () => false,
+}
+
+/** Tracer used when none is set. Just calls fn. */
+const noopTracer = {
+    startActiveSpan: (name, ...args) => args[args.length - 1](noopSpan),
+}
+
+let globalTracer = noopTracer;
+
+/** Validates the given tracer. Throws if invalid. */
+const checkTracer = (tracer) => {
+    if (!isRealObj(tracer) || typeof tracer.startActiveSpan !== 'function') {
+        throw Error(Errors.TracerInvalid(tracer));
+    }
+}
+
+/**
+ * Sets the tracer used by every process that was not given one of its own.
+ *
+ * @param {object} tracer - OpenTelemetry-like tracer (see above). Pass null to go back to the no-op tracer.
+ */
+const setTracer = (tracer) => {
+    if (tracer !== null && tracer !== undefined) {
+        checkTracer(tracer);
+    }
+    globalTracer = tracer || noopTracer;
+}
+
+/** Gets the tracer set with setTracer (or the no-op tracer). */
+const getTracer = () => globalTracer;
+
+/** Gets if the given tracer is the no-op one, so callers can skip the work of tracing. */
+const isNoopTracer = tracer => tracer === noopTracer;
+
+/** Marks the span as failed with the given error, adding the status code if it is a ProcessorError. */
+const setSpanError = (span, ex) => {
+    span.recordException(ex);
+    span.setStatus({ code: SPAN_STATUS_CODES.ERROR, message: ex && ex.message });
+    if (ex && ex.isProcessorError) {
+        span.setAttribute(SPAN_ATTRIBUTES.STATUS_CODE, ex.responseInfo.statusCode);
+    }
+}
+
+/**
+ * Runs fn in a new active span, ending the span when fn is done and marking it failed if fn throws.
+ *
+ * @param {object} tracer - tracer to start the span with
+ * @param {string} name - name of the span
+ * @param {object} attributes - attributes to start the span with
+ * @param {function} fn - async (span) => result
+ * @returns {Promise} - the result of fn
+ */
+const withSpan = (tracer, name, attributes, fn) => tracer.startActiveSpan(name, { attributes }, async span => {
+    try {
+        const result = await fn(span);
+        span.end();
+        return result;
+    } catch (ex) {
+        setSpanError(span, ex);
+        span.end();
+        throw ex;
+    }
+});
+
+/**
+ * Creates a tracer that keeps finished spans in memory, for tests (or for looking at spans locally without a collector).
+ *
+ * @returns {object} - { startActiveSpan, spans, reset } where spans is the list of finished spans, each { spanId, parentSpanId, name, attributes, status, events, startTime, endTime }
+ */
+const createMemoryTracer = () => {
+    const activeSpans = new AsyncLocalStorage();
+    const spans = [];
+    let lastSpanId = 0;
+
+    const startActiveSpan = (name, ...args) => {
+        const fn = args[args.length - 1];
+        const options = isRealObj(args[0]) ? args[0] : {};
+        const parent = activeSpans.getStore();
+        const record = {
+            spanId: String(++lastSpanId),
+            parentSpanId: parent ? parent.spanId : null,
+            name,
+            attributes: { ...options.attributes },
+            status: { code: SPAN_STATUS_CODES.UNSET },
+            events: [],
+            startTime: Date.now(),
+            endTime: null,
+        };
+
+        let ended = false;
+        const span = {
+            setAttribute: (key, value) => { record.attributes[key] = value; return span; },
+            setAttributes: (attributes) => { Object.assign(record.attributes, attributes); return span; },
+            setStatus: (status) => { record.status = { ...status }; return span; },
+            recordException: (ex) => {
+                record.events.push({ name: 'exception', attributes: { 'exception.type': ex && ex.name, 'exception.message': ex && ex.message } });
+            },
+            end: () => {
+                if (ended) { return; }
+                ended = true;
+                record.endTime = Date.now();
+                spans.push(record);
+            },
+            isRecording: () => !ended,
+        };
+
+        return activeSpans.run(record, () => fn(span));
+    }
+
+    return {
+        startActiveSpan,
+        spans,
+        reset: () => { spans.splice(0, spans.length); },
+    };
+}
+
+module.exports = {
+    Errors,
+    SPAN_STATUS_CODES,
+    SPAN_ATTRIBUTES,
+
+    checkTracer,
+    setTracer,
+    getTracer,
+    isNoopTracer,
+    withSpan,
+    createMemoryTracer,
+}
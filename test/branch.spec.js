@@ -0,0 +1,173 @@
+const { compose, parallel, branch, Errors } = require('../src/processor');
+const { processors: p, processorNames: n, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Branching', () => {
+    const processorsPath = require('path').join(__dirname, './composition');
+
+    beforeEach(enableErrorLogging);
+
+    it('should run only the route chosen by the selector', async () => {
+        const getFoo = p.getFoo();
+        const getBar = p.getBar();
+        const doFoo = p.doFoo();
+        const process = compose('Branch', {
+            processors: [
+                branch((data, context) => context.kind, {
+                    foo: [getFoo],
+                    bar: [getBar],
+                }),
+                doFoo,
+            ],
+        });
+
+        await process.start({ kind: 'bar' });
+
+        expect(getFoo.process).not.toHaveBeenCalled();
+        expect(getBar.process).toHaveBeenCalled();
+        expect(doFoo.process).toHaveBeenCalled();
+    });
+
+    it('should run each step of a route in order, including parallel groups', async () => {
+        const process = compose('Branch Pipeline', {
+            processorsPath,
+            pipeline: [
+                branch(async () => 'sequence', {
+                    sequence: ['slowStep1', 'step2'],
+                    parallel: [parallel('slowStep1', 'step2')],
+                }),
+            ],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.step1).toBe(true);
+        expect(data.step1AlreadySet).toBe(true);
+    });
+
+    it('should accept a single processor as a route', async () => {
+        const process = compose('Branch Single', {
+            processorsPath,
+            pipeline: [
+                branch(() => 'side', { side: 'sidestep', main: 'step1' }),
+            ],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.sidestep).toBe(true);
+        expect(data.step1).toBeUndefined();
+    });
+
+    it('should run the default route if no route matches, or skip the branch if there is none', async () => {
+        const getFoo = p.getFoo();
+        const getBar = p.getBar();
+        const withDefault = compose('Branch Default', {
+            processors: [branch(() => 'baz', { foo: [getFoo], default: [getBar] })],
+        });
+
+        await withDefault.start({});
+
+        expect(getFoo.process).not.toHaveBeenCalled();
+        expect(getBar.process).toHaveBeenCalled();
+
+        const doFoo = p.doFoo();
+        const withoutDefault = compose('Branch No Default', {
+            processors: [branch(() => 'baz', { foo: [getFoo] }), doFoo],
+        });
+
+        await withoutDefault.start({});
+
+        expect(getFoo.process).not.toHaveBeenCalled();
+        expect(doFoo.process).toHaveBeenCalled();
+    });
+
+    it('should report a selector error as a step error', async () => {
+        disableErrorLogging();
+        const process = compose('Branch Selector Error', {
+            processors: [branch(() => { throw Error('Bad selector') }, { foo: [p.getFoo()] })],
+        });
+
+        await expect(process.start({})).rejects.toHaveProperty('errorsFromProcessors', [
+            expect.objectContaining({ occurredIn: `'Branch: ["foo"]`, message: 'Bad selector' }),
+        ]);
+    });
+
+    it('should throw if given an invalid selector or routes', () => {
+        expect(() => branch('kind', { foo: 'getFoo' })).toThrow(Errors.BranchSelectorNotFunction('kind'));
+        expect(() => branch(() => 'foo', {})).toThrow();
+        expect(() => branch(() => 'foo', ['getFoo'])).toThrow();
+    });
+
+    it('should deregister processors inside branch routes', async () => {
+        const process = compose('Branch Deregister', {
+            processors: [branch(() => 'foo', { foo: [p.getFoo({ process: () => { throw Error('Should not run') } })] })],
+        });
+
+        process.deregister(n.getFoo);
+
+        const { errors } = await process.start({});
+        expect(errors.length).toEqual(0);
+    });
+
+    describe('Prerequisites', () => {
+        const getConfigError = async (process) => {
+            let actualEx = null;
+            try {
+                await process.start({});
+            } catch (ex) {
+                actualEx = ex;
+            }
+            return actualEx && actualEx.details.configurationErrors[0];
+        }
+
+        it('should allow a route to rely on steps before the branch and earlier in its own route', async () => {
+            const process = compose('Branch Prereqs Ok', {
+                processors: [
+                    p.getFoo(),
+                    branch(() => 'foo', {
+                        foo: [p.getBar(), p.doFoo({ prerequisites: [n.getFoo, n.getBar] })],
+                    }),
+                ],
+            });
+
+            expect(await getConfigError(process)).toBeNull();
+        });
+
+        it('should not allow a route to rely on a sibling route', async () => {
+            const process = compose('Branch Prereqs Sibling', {
+                processors: [
+                    branch(() => 'foo', {
+                        foo: [p.getFoo()],
+                        bar: [p.doFoo({ prerequisites: [n.getFoo] })],
+                    }),
+                ],
+            });
+
+            const configError = await getConfigError(process);
+            expect(configError.processorName).toEqual(n.doFoo);
+            expect(configError.reason).toMatch(/getFoo/);
+        });
+
+        it('should only allow later steps to rely on processors every route runs', async () => {
+            const getProcess = (routes) => compose('Branch Prereqs After', {
+                processors: [
+                    branch(() => 'foo', routes),
+                    p.doFoo({ prerequisites: [n.getFoo] }),
+                ],
+            });
+
+            expect(await getConfigError(getProcess({ foo: [p.getFoo()], default: [p.getFoo(), p.getBar()] }))).toBeNull();
+            expect(await getConfigError(getProcess({ foo: [p.getFoo()], default: [p.getBar()] }))).toBeTruthy();
+            expect(await getConfigError(getProcess({ foo: [p.getFoo()] })), 'no default').toBeTruthy();
+        });
+
+        it('should not allow a branch inside a parallel group', async () => {
+            const process = compose('Branch In Parallel', {
+                processors: [parallel(p.getFoo(), branch(() => 'bar', { bar: [p.getBar()] }))],
+            });
+
+            const configError = await getConfigError(process);
+            expect(configError.reason).toEqual(Errors.BranchInParallel());
+        });
+    });
+});
@@ -0,0 +1,161 @@
+const { EventEmitter } = require('events');
+const { compose } = require('../src/processor');
+const { HttpResponse, mockProcessor, disableErrorLogging, enableErrorLogging, sleep, describeIfAbortable } = require('./utils');
+
+describeIfAbortable('Cancellation', () => {
+    beforeEach(enableErrorLogging);
+
+    /** Gets a process where the first processor aborts the given controller (like a client giving up mid-run). */
+    const getCancelledProcess = (procName, abortController) => {
+        const last = mockProcessor('last');
+        const process = compose(procName, {
+            processors: [
+                mockProcessor('first', { process: async () => { abortController.abort(); } }),
+                last,
+            ],
+        });
+        return { process, last };
+    }
+
+    it('should give every run a signal on context', async () => {
+        let runSignal;
+        const process = compose('Run Signal');
+        process.register('foo', (data, context) => { runSignal = context.signal; });
+
+        await process.start({});
+
+        expect(runSignal).toBeTruthy();
+        expect(runSignal.aborted).toBe(false);
+    });
+
+    it('should skip steps that have not started once the given signal aborts', async () => {
+        const abortController = new AbortController();
+        const { process, last } = getCancelledProcess('Cancel', abortController);
+
+        let actualEx = null;
+        try {
+            await process.start({}, false, { signal: abortController.signal });
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(last.process).not.toHaveBeenCalled();
+        expect(actualEx.isProcessError).toBe(true);
+        expect(actualEx.isCancelled).toBe(true);
+        expect(actualEx.errorsFromProcessors[0].occurredIn).toEqual('last');
+    });
+
+    it('should not start at all if the given signal is already aborted', async () => {
+        const abortController = new AbortController();
+        abortController.abort();
+        const first = mockProcessor('first');
+        const process = compose('Already Cancelled', { processors: [first] });
+
+        await expect(process.start({}, true, { signal: abortController.signal })).rejects.toHaveProperty('isCancelled', true);
+        expect(first.process).not.toHaveBeenCalled();
+    });
+
+    it('should abort the run signal processors were given when the given signal aborts', async () => {
+        const abortController = new AbortController();
+        let runSignal;
+        const process = compose('Cancel In Flight');
+        process.register('slow', async (data, context) => {
+            runSignal = context.signal;
+            abortController.abort();
+            await sleep(1);
+        });
+
+        await expect(process.start({}, false, { signal: abortController.signal })).rejects.toHaveProperty('isCancelled', true);
+
+        expect(runSignal).not.toBe(abortController.signal);
+        expect(runSignal.aborted).toBe(true);
+    });
+
+    it('should not write to the response when using send with an aborted signal', async () => {
+        const abortController = new AbortController();
+        const { process } = getCancelledProcess('Send Cancel', abortController);
+        const res = new HttpResponse();
+
+        await process.send(res, {}, false, { signal: abortController.signal });
+
+        expect(res.status).not.toHaveBeenCalled();
+        expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it('should not write a successful response after the signal aborts during the last step', async () => {
+        const abortController = new AbortController();
+        const process = compose('Send Cancel Last');
+        process.register('only', () => { abortController.abort(); });
+        const res = new HttpResponse();
+
+        await process.send(res, {}, false, { signal: abortController.signal });
+
+        expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it('should cancel the run when the response closes early using the http handler', async () => {
+        disableErrorLogging();
+        const res = new HttpResponse();
+        Object.assign(res, new EventEmitter());
+        Object.setPrototypeOf(res, EventEmitter.prototype);
+
+        const last = mockProcessor('last');
+        const process = compose('Client Disconnect', {
+            processors: [
+                mockProcessor('first', { process: async () => { res.emit('close'); } }),
+                last,
+            ],
+        });
+
+        await process.use()({}, res);
+
+        expect(last.process).not.toHaveBeenCalled();
+        expect(res.send).not.toHaveBeenCalled();
+        expect(res.listenerCount('close')).toEqual(0);
+    });
+
+    it('should pass cancellation on to nested processes', async () => {
+        const abortController = new AbortController();
+        const nestedLast = mockProcessor('nestedLast');
+        const child = compose('Cancelled Child', {
+            processors: [mockProcessor('nestedFirst', { process: async () => { abortController.abort(); } }), nestedLast],
+        });
+        const process = compose('Cancelled Parent');
+        process.register('child', child);
+
+        await expect(process.start({}, false, { signal: abortController.signal })).rejects.toHaveProperty('isProcessError', true);
+        expect(nestedLast.process).not.toHaveBeenCalled();
+    });
+
+    it('should reject when the signal aborts during the last step', async () => {
+        const abortController = new AbortController();
+        const process = compose('Cancel Last');
+        process.register('only', () => { abortController.abort(); });
+
+        await expect(process.start({}, false, { signal: abortController.signal })).rejects.toHaveProperty('isCancelled', true);
+    });
+
+    it('should abort the run signal when the deadline passes', async () => {
+        let runSignal;
+        const process = compose('Deadline Abort', {
+            deadline: 10,
+            processors: [mockProcessor('slow', { process: async (data, context) => { runSignal = context.signal; await sleep(50); } })],
+        });
+
+        await expect(process.start({})).rejects.toHaveProperty('isDeadlineExceeded', true);
+        expect(runSignal.aborted).toBe(true);
+    });
+
+    it('should abort the run signal when a processor times out, before compensating', async () => {
+        disableErrorLogging();
+        let runSignal;
+        let abortedWhenCompensating;
+        const process = compose('Timeout Abort');
+        process.register('undone', async () => { }, { compensate: async (data, context) => { abortedWhenCompensating = context.signal.aborted; } });
+        process.register('slow', async (data, context) => { runSignal = context.signal; await sleep(50); }, { timeout: 10 });
+
+        await expect(process.start({})).rejects.toHaveProperty('isProcessError', true);
+        expect(runSignal.aborted).toBe(true);
+        expect(abortedWhenCompensating).toBe(true);
+    });
+});
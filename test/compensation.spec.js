@@ -0,0 +1,115 @@
+const { compose, parallel } = require('../src/processor');
+const { ProcessError } = require('../src/errors');
+const { mockProcessor, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Compensation', () => {
+    beforeEach(enableErrorLogging);
+
+    /** Gets a mock processor with a compensate function that records its name in the given list. */
+    const compensating = (name, compensatedList, options) => {
+        const processor = mockProcessor(name, options);
+        processor.compensate = jest.fn(() => { compensatedList.push(name) });
+        return processor;
+    }
+
+    const failing = (name = 'chargeCard') => mockProcessor(name, { process: () => { throw Error('Card declined') } });
+
+    it('should compensate processors that ran, in reverse order, when a later processor fails', async () => {
+        disableErrorLogging();
+        const compensatedList = [];
+        const reserveInventory = compensating('reserveInventory', compensatedList);
+        const holdShipping = compensating('holdShipping', compensatedList);
+        const process = compose('Checkout', {
+            processors: [reserveInventory, holdShipping, failing()],
+        });
+
+        let actualEx = null;
+        try {
+            await process.start({ orderId: 1 });
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx).toBeInstanceOf(ProcessError);
+        expect(compensatedList).toEqual(['holdShipping', 'reserveInventory']);
+        expect(actualEx.compensated).toEqual(['holdShipping', 'reserveInventory']);
+        expect(reserveInventory.compensate).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ orderId: 1 }), actualEx);
+    });
+
+    it('should not compensate processors that were skipped, failed, or never ran', async () => {
+        disableErrorLogging();
+        const compensatedList = [];
+        const failingWithCompensate = compensating('chargeCard', compensatedList, { process: () => { throw Error('Card declined') } });
+        const process = compose('Checkout Partial', {
+            processors: [
+                compensating('skipped', compensatedList, { runIf: () => false }),
+                compensating('reserveInventory', compensatedList),
+                failingWithCompensate,
+                compensating('neverRan', compensatedList),
+            ],
+        });
+
+        await expect(process.start({})).rejects.toBeInstanceOf(ProcessError);
+
+        expect(compensatedList).toEqual(['reserveInventory']);
+    });
+
+    it('should compensate processors in a parallel group that succeeded', async () => {
+        disableErrorLogging();
+        const compensatedList = [];
+        const process = compose('Checkout Parallel', {
+            processors: [
+                parallel(
+                    compensating('reserveInventory', compensatedList),
+                    failing(),
+                ),
+            ],
+        });
+
+        await expect(process.start({})).rejects.toBeInstanceOf(ProcessError);
+
+        expect(compensatedList).toEqual(['reserveInventory']);
+    });
+
+    it('should not compensate when continuing on error', async () => {
+        disableErrorLogging();
+        const compensatedList = [];
+        const process = compose('Checkout Continue', {
+            processors: [compensating('reserveInventory', compensatedList), failing()],
+        });
+
+        const { errors } = await process.start({}, true);
+
+        expect(errors.length).toEqual(1);
+        expect(compensatedList).toEqual([]);
+    });
+
+    it('should keep compensating and record errors if a compensate function throws', async () => {
+        disableErrorLogging();
+        const compensatedList = [];
+        const badCompensate = mockProcessor('holdShipping');
+        badCompensate.compensate = () => { throw Error('Could not release') };
+        const process = compose('Checkout Compensate Error', {
+            processors: [compensating('reserveInventory', compensatedList), badCompensate, failing()],
+        });
+
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(compensatedList).toEqual(['reserveInventory']);
+        expect(actualEx.compensationErrors).toEqual([
+            expect.objectContaining({ occurredIn: 'holdShipping', message: 'Could not release' }),
+        ]);
+        expect(actualEx.errorsFromProcessors[0].message).toEqual('Card declined');
+    });
+
+    it('should reject a compensate export that is not a function', () => {
+        const process = compose('Invalid Compensate');
+
+        expect(() => process.register('foo', () => { }, { compensate: 'undo' })).toThrow();
+    });
+});
@@ -13,6 +13,7 @@ module.exports = {
         // note, the dev convenience is simply so the dev doesn't have to **always** return { data, context }; this is especially useful for processor short circuits
         // that is, the dev can just write return; instead of having to always return { data, context }; it prevents annoying errors of forgetting to return
         // we can argue this is not good, of course. :D
+        // (parallel.isolated gives each processor in a group its own copy instead, if you need that)
         data.step1 = true;
 
         return { data, context };
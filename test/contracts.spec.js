@@ -0,0 +1,207 @@
+const { compose, parallel, branch, race, each, Errors } = require('../src/processor');
+const { mockProcessor, processors: p, disableErrorLogging, enableErrorLogging } = require('./utils');
+const { logEmitter } = require('../src/logging');
+
+describe('Reads/Writes Contracts', () => {
+    const withContract = (processor, { reads, writes }) => ({ ...processor, reads, writes });
+
+    const getConfigErrors = async (process) => {
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+        return actualEx && actualEx.details.configurationErrors;
+    }
+
+    beforeEach(enableErrorLogging);
+
+    describe('Compose-Time Validation', () => {
+        beforeEach(disableErrorLogging);
+
+        it('should allow reads written by earlier steps or provided by the starting context', async () => {
+            const process = compose('Contracts Ok', {
+                provides: ['context.user'],
+                processors: [
+                    withContract(p.getFoo(), { reads: ['context.user.id'], writes: ['data.cart'] }),
+                    withContract(p.getBar(), { reads: ['data.cart.items', 'context.user'], writes: ['data.total'] }),
+                ],
+            });
+
+            const { errors } = await process.start({});
+
+            expect(errors.length).toEqual(0);
+        });
+
+        it('should be invalid if a read is not written by an earlier step', async () => {
+            const process = compose('Contracts Unmet', {
+                processors: [
+                    withContract(p.getFoo(), { reads: ['data.total'], writes: ['data.cart'] }),
+                    withContract(p.getBar(), { writes: ['data.total'] }),
+                ],
+            });
+
+            const configErrors = await getConfigErrors(process);
+
+            expect(configErrors).toEqual([{ processorName: 'getFoo', reason: Errors.UnmetReads(['data.total']) }]);
+        });
+
+        it('should not count writes from the same parallel group', async () => {
+            const process = compose('Contracts Parallel', {
+                processors: [
+                    parallel(
+                        withContract(p.getFoo(), { writes: ['data.foo'] }),
+                        withContract(p.getBar(), { reads: ['data.foo'] }),
+                    ),
+                ],
+            });
+
+            const configErrors = await getConfigErrors(process);
+
+            expect(configErrors).toEqual([{ processorName: 'getBar', reason: Errors.UnmetReads(['data.foo']) }]);
+        });
+
+        it('should let each processors read their item, and later steps read the results', async () => {
+            const process = compose('Contracts Each', {
+                provides: ['context.orderIds'],
+                processors: [
+                    each('context.orderIds', withContract(p.getFoo(), { reads: ['context.item'], writes: ['data.order'] }), { resultKey: 'orders' }),
+                    withContract(p.getBar(), { reads: ['data.orders'] }),
+                ],
+            });
+
+            const { errors } = await process.start({ orderIds: [1] });
+
+            expect(errors.length).toEqual(0);
+        });
+
+        it('should check reads of processors registered later', async () => {
+            const process = compose('Contracts Register');
+            process.register('getFoo', withContract(mockProcessor('getFoo'), { writes: ['data.foo'] }));
+            process.register('getBar', withContract(mockProcessor('getBar'), { reads: ['data.foo', 'data.bar'] }));
+
+            const configErrors = await getConfigErrors(process);
+
+            expect(configErrors).toEqual([{ processorName: 'getBar', reason: Errors.UnmetReads(['data.bar']) }]);
+        });
+
+        it('should fail if reads, writes, or provides are not lists of data/context paths', async () => {
+            const process = compose('Contracts Invalid', { provides: ['user'] });
+
+            expect(() => process.register('getFoo', data => data, { reads: 'data.foo' })).toThrow(Errors.ContractPathsInvalid('getFoo', 'reads', 'data.foo'));
+            expect(() => process.register('getBar', data => data, { writes: ['foo'] })).toThrow(Errors.ContractPathsInvalid('getBar', 'writes', ['foo']));
+
+            const configErrors = await getConfigErrors(process);
+
+            expect(configErrors[0]).toEqual(Errors.ContractPathsInvalid('Contracts Invalid', 'provides', ['user']));
+        });
+    });
+
+    describe('Dev Mode Write Checks', () => {
+        const warnings = jest.fn();
+
+        beforeEach(() => {
+            warnings.mockClear();
+            logEmitter.on('warn', warnings);
+        });
+
+        afterEach(() => {
+            logEmitter.off('warn', warnings);
+        });
+
+        const writer = (name, writes) => withContract(mockProcessor(name, {
+            process: async (data, context) => {
+                data[name] = true;
+                context[name] = true;
+            },
+        }), { writes });
+
+        it('should warn about undeclared writes', async () => {
+            const process = compose('Dev Undeclared', {
+                devMode: true,
+                processors: [writer('getFoo', ['data.getFoo'])],
+            });
+
+            await process.start({});
+
+            expect(warnings).toHaveBeenCalledWith(Errors.UndeclaredWrites('getFoo', ['context.getFoo']));
+        });
+
+        it('should not warn when writes are declared, including by the parallel group', async () => {
+            const process = compose('Dev Declared', {
+                devMode: true,
+                processors: [
+                    parallel(
+                        writer('getFoo', ['data.getFoo', 'context.getFoo']),
+                        writer('getBar', ['data.getBar', 'context']),
+                    ),
+                ],
+            });
+
+            await process.start({});
+
+            expect(warnings).not.toHaveBeenCalled();
+        });
+
+        it('should check isolated groups, races, each steps, and steps in branch routes', async () => {
+            const process = compose('Dev Step Types', {
+                devMode: true,
+                processors: [
+                    parallel.isolated(writer('getFoo', ['data.getFoo'])),
+                    race(writer('getBar', ['data.getBar'])),
+                    each('context.ids', withContract(mockProcessor('getBaz', {
+                        process: async (data, context) => {
+                            data.id = context.item;
+                            context.seen.push(context.item); // the item's context is a shallow copy, so this changes the run's context
+                        },
+                    }), { writes: ['data.id'] }), { resultKey: 'bazzes' }),
+                    branch(() => 'only', { only: writer('doFoo', ['data.doFoo']) }),
+                ],
+            });
+
+            await process.start({ ids: [1], seen: [] });
+
+            expect(warnings.mock.calls).toEqual([
+                [Errors.UndeclaredWrites(`'Parallel (isolated): ["getFoo"]`, ['context.getFoo'])],
+                [Errors.UndeclaredWrites(`'Race: ["getBar"]`, ['context.getBar'])],
+                [Errors.UndeclaredWrites(`'Each: getBaz <- context.ids`, ['context.seen'])],
+                [Errors.UndeclaredWrites('doFoo', ['context.doFoo'])],
+            ]);
+        });
+
+        it('should catch changes deeper inside existing objects', async () => {
+            const process = compose('Dev Nested', {
+                devMode: true,
+                processors: [
+                    mockProcessor('getFoo', { process: async (data) => { data.order = { total: 0 }; } }),
+                    withContract(mockProcessor('getBar', {
+                        process: async (data) => {
+                            data.order.total = 5;
+                        },
+                    }), { writes: [] }),
+                ],
+            });
+
+            await process.start({});
+
+            expect(warnings).toHaveBeenCalledWith(Errors.UndeclaredWrites('getBar', ['data.order']));
+        });
+
+        it('should not check steps with processors that do not declare writes, or when not in dev mode', async () => {
+            const process = compose('Dev Undeclared Contract', {
+                devMode: true,
+                processors: [writer('getFoo')],
+            });
+            const prodProcess = compose('Not Dev', {
+                devMode: false,
+                processors: [writer('getFoo', ['data.getFoo'])],
+            });
+
+            await process.start({});
+            await prodProcess.start({});
+
+            expect(warnings).not.toHaveBeenCalled();
+        });
+    });
+});
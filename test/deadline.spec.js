@@ -0,0 +1,101 @@
+const { compose, parallel, Errors } = require('../src/processor');
+const { HttpResponse, disableErrorLogging, enableErrorLogging, mockProcessor, sleep } = require('./utils');
+const { getErrorContent } = require('../src/response');
+
+describe('Process Deadline', () => {
+    beforeEach(enableErrorLogging);
+
+    const getSlowProcess = (procName, options) => {
+        const last = mockProcessor('last');
+        const process = compose(procName, {
+            ...options,
+            processors: [
+                mockProcessor('first'),
+                mockProcessor('slow', { process: () => sleep(50) }),
+                last,
+            ],
+        });
+        return { process, last };
+    }
+
+    it('should reject with a ProcessError naming the step in flight when the deadline passes', async () => {
+        const { process, last } = getSlowProcess('Deadline', { deadline: 10 });
+
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx).toBeTruthy();
+        expect(actualEx.isProcessError).toBe(true);
+        expect(actualEx.isDeadlineExceeded).toBe(true);
+        expect(actualEx.stepInFlight).toEqual('slow');
+        expect(actualEx.errorsFromProcessors[0].occurredIn).toEqual('slow');
+        expect(actualEx.getMostSevereProcessorError().message).toEqual(Errors.DeadlineExceeded('Deadline', 10, 'slow'));
+
+        await sleep(60); // let the slow step finish to prove later steps do not start
+        expect(last.process).not.toHaveBeenCalled();
+    });
+
+    it('should stop even when continuing on error', async () => {
+        const { process } = getSlowProcess('Deadline Continue On Error', { deadline: 10 });
+
+        await expect(process.start({}, true)).rejects.toHaveProperty('isDeadlineExceeded', true);
+    });
+
+    it('should name the parallel group when it is in flight', async () => {
+        const process = compose('Parallel Deadline', {
+            deadline: 10,
+            processors: [
+                parallel(
+                    mockProcessor('fast'),
+                    mockProcessor('slow', { process: () => sleep(50) }),
+                ),
+            ],
+        });
+
+        await expect(process.start({})).rejects.toHaveProperty('stepInFlight', `'Parallel: ["fast","slow"]`);
+    });
+
+    it('should finish normally within the deadline', async () => {
+        const { process, last } = getSlowProcess('Within Deadline', { deadline: 500 });
+
+        const { errors } = await process.start({});
+
+        expect(errors.length).toEqual(0);
+        expect(last.process).toHaveBeenCalled();
+    });
+
+    it('should let a run override the process deadline', async () => {
+        const { process } = getSlowProcess('Override Deadline', { deadline: 10 });
+
+        const { errors } = await process.start({}, false, { deadline: 500 });
+
+        expect(errors.length).toEqual(0);
+
+        const { process: noDefault } = getSlowProcess('Run Deadline');
+        await expect(noDefault.start({}, false, { deadline: 10 })).rejects.toHaveProperty('isDeadlineExceeded', true);
+    });
+
+    it('should send a 504 when the deadline passes using send', async () => {
+        disableErrorLogging();
+        const { process } = getSlowProcess('Send Deadline');
+        const res = new HttpResponse();
+
+        await process.send(res, {}, false, { deadline: 10 });
+
+        expect(res.status).toBeCalledWith(504);
+        expect(res.send).toBeCalledWith(getErrorContent(Errors.DeadlineExceeded('Send Deadline', 10, 'slow')));
+    });
+
+    it('should reject invalid deadlines', async () => {
+        disableErrorLogging();
+        const invalidProcess = compose('Invalid Deadline', { deadline: -1 });
+        await expect(invalidProcess.start({})).rejects.toHaveProperty('isInvalidProcessError', true);
+
+        const process = compose('Invalid Run Deadline');
+        await expect(process.start({}, false, { deadline: 'soon' })).rejects.toThrow();
+    });
+});
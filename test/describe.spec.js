@@ -0,0 +1,75 @@
+const path = require('path');
+const { compose, parallel, branch, race, each } = require('../src/processor');
+const { processors: p, processorNames: n, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Describe', () => {
+    const processorsPath = path.join(__dirname, './composition');
+
+    beforeEach(enableErrorLogging);
+
+    it('should describe the steps in order, with processor details', () => {
+        const process = compose('Describe', {
+            processorsPath,
+            pipeline: [
+                'step1',
+                parallel(p.getFoo({ prerequisites: ['step1'] }), { name: n.getBar, process: async () => { } }),
+            ],
+        });
+
+        expect(process.describe()).toEqual({
+            processName: 'Describe',
+            steps: [
+                { type: 'processor', name: 'step1', source: path.join(processorsPath, 'step1.js'), prerequisites: [], hasRunIf: false },
+                {
+                    type: 'parallel', name: expect.any(String), concurrency: null, isolated: false, processors: [
+                        { type: 'processor', name: n.getFoo, source: null, prerequisites: ['step1'], hasRunIf: true },
+                        { type: 'processor', name: n.getBar, source: null, prerequisites: [], hasRunIf: false },
+                    ]
+                },
+            ],
+            invalidConfigs: [],
+        });
+    });
+
+    it('should describe branches, races, and each steps', () => {
+        const process = compose('Describe Steps', {
+            pipeline: [
+                branch(() => 'foo', { foo: p.getFoo(), default: [p.getBar(), p.getBaz()] }),
+                race(p.doFoo(), p.doBar()),
+                each('context.ids', p.getFoo(), { resultKey: 'foos' }),
+            ],
+        });
+
+        const [branchStep, raceStep, eachStep] = process.describe().steps;
+
+        expect(branchStep.type).toEqual('branch');
+        expect(branchStep.routes.foo.map(step => step.name)).toEqual([n.getFoo]);
+        expect(branchStep.routes.default.map(step => step.name)).toEqual([n.getBar, n.getBaz]);
+        expect(raceStep).toEqual(expect.objectContaining({ type: 'race' }));
+        expect(raceStep.processors.map(step => step.name)).toEqual([n.doFoo, n.doBar]);
+        expect(eachStep).toEqual(expect.objectContaining({ type: 'each', itemsPath: 'context.ids', resultKey: 'foos' }));
+        expect(eachStep.processor.name).toEqual(n.getFoo);
+    });
+
+    it('should include invalid configs', () => {
+        disableErrorLogging();
+        const process = compose('Describe Invalid', {
+            pipeline: [p.getFoo({ prerequisites: ['missing'] })],
+        });
+
+        const { invalidConfigs } = process.describe();
+
+        expect(invalidConfigs).toEqual([{ processorName: n.getFoo, reason: expect.stringContaining('missing') }]);
+    });
+
+    it('should be JSON-safe and not share state with the process', () => {
+        const process = compose('Describe Copy', { pipeline: [p.getFoo({ prerequisites: [] })] });
+
+        const description = process.describe();
+        description.steps[0].prerequisites.push(n.getBar);
+        description.steps.push({ type: 'processor', name: n.getBaz });
+
+        expect(JSON.parse(JSON.stringify(process.describe()))).toEqual(process.describe());
+        expect(process.describe().steps).toEqual([expect.objectContaining({ name: n.getFoo, prerequisites: [] })]);
+    });
+});
@@ -0,0 +1,120 @@
+const { compose, parallel, branch, race, each } = require('../src/processor');
+const { mockProcessor, processors: p, processorNames: n, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Pipeline Diagrams', () => {
+    beforeEach(enableErrorLogging);
+
+    /** processor without a runIf of its own (mockProcessor always gives one) */
+    const plain = (name, options = {}) => ({ name, process: async () => { }, ...options });
+
+    it('should render steps in order from start to end in Mermaid', () => {
+        const process = compose('Mermaid', {
+            pipeline: [plain(n.getFoo), plain(n.getBar)],
+        });
+
+        expect(process.toMermaid()).toEqual([
+            'flowchart TD',
+            '    n0(["Mermaid"])',
+            '    n1["getFoo"]',
+            '    n2["getBar"]',
+            '    n3(["end"])',
+            '    n0 --> n1',
+            '    n1 --> n2',
+            '    n2 --> n3',
+        ].join('\n'));
+    });
+
+    it('should render steps in order from start to end in DOT', () => {
+        const process = compose('Dot', {
+            pipeline: [plain(n.getFoo), plain(n.getBar)],
+        });
+
+        expect(process.toDot()).toEqual([
+            'digraph "Dot" {',
+            '    node [shape=box];',
+            '    n0 [label="Dot", shape=oval];',
+            '    n1 [label="getFoo"];',
+            '    n2 [label="getBar"];',
+            '    n3 [label="end", shape=oval];',
+            '    n0 -> n1;',
+            '    n1 -> n2;',
+            '    n2 -> n3;',
+            '}',
+        ].join('\n'));
+    });
+
+    it('should render parallel groups, runIf markers, and prerequisite edges', () => {
+        const process = compose('Groups', {
+            pipeline: [
+                plain(n.getFoo),
+                parallel(plain(n.getBar, { runIf: () => true }), plain(n.getBaz, { prerequisites: [n.getFoo] })),
+            ],
+        });
+
+        const mermaid = process.toMermaid();
+        const dot = process.toDot();
+
+        expect(mermaid).toContain('    subgraph g0 ["parallel"]\n        n2["getBar (runIf)"]\n        n3["getBaz"]\n    end');
+        expect(mermaid).toContain('    n1 --> n2\n    n1 --> n3');
+        expect(mermaid).toContain('    n1 -.-> n3');
+        expect(mermaid).toContain('    class n2 runIf');
+        expect(dot).toContain('    subgraph cluster_g0 {\n        label="parallel";');
+        expect(dot).toContain('        n2 [label="getBar (runIf)", style=dashed];');
+        expect(dot).toContain('    n1 -> n3 [style=dashed, color=gray];');
+    });
+
+    it('should render branch routes, races, and each steps', () => {
+        const process = compose('Steps', {
+            pipeline: [
+                branch(function byKind(data, context) { return context.kind; }, {
+                    foo: plain(n.getFoo),
+                    bar: plain(n.getBar),
+                }),
+                race(plain(n.doFoo), plain(n.doBar)),
+                each('context.ids', plain(n.getBaz)),
+            ],
+        });
+
+        const mermaid = process.toMermaid();
+
+        expect(mermaid).toContain('    n1{"branch: byKind"}');
+        expect(mermaid).toContain('    n1 -->|"foo"| n2');
+        expect(mermaid).toContain('    n1 -->|"bar"| n3');
+        expect(mermaid).toContain('    n1 --> n4'); // no default route, so the branch can be skipped
+        expect(mermaid).toContain('    subgraph g0 ["race"]');
+        expect(mermaid).toContain('    subgraph g1 ["each context.ids"]');
+        expect(process.toDot()).toContain('    n1 -> n2 [label="foo"];');
+    });
+
+    it('should render invalid configs', () => {
+        disableErrorLogging();
+        const process = compose('Invalid', {
+            processorsPath: require('path').join(__dirname, './composition'),
+            pipeline: ['step1', 'notThere', mockProcessor(n.getFoo, { prerequisites: ['missing'] })],
+        });
+
+        const mermaid = process.toMermaid();
+        const dot = process.toDot();
+
+        expect(mermaid).toMatch(/ {4}(n\d+)\["notThere: Module import failure\."\][\s\S]*class .*\1.* invalid/);
+        expect(mermaid).toMatch(/\["getFoo \(runIf\): Prequisites not found before processor in pipeline: missing"\]/);
+        expect(dot).toMatch(/\[label="notThere: Module import failure\.", color=red, fontcolor=red\]/);
+    });
+
+    it('should escape quotes in labels', () => {
+        const process = compose('Say "Hi"', { pipeline: [plain(n.getFoo)] });
+
+        expect(process.toMermaid()).toContain('n0(["Say #quot;Hi#quot;"])');
+        expect(process.toDot()).toContain('digraph "Say \\"Hi\\"" {');
+    });
+
+    it('should reflect processors registered and deregistered after compose', () => {
+        const process = compose('Changes', { pipeline: [plain(n.getFoo)] });
+
+        process.register(n.getBar, async () => { });
+        process.deregister(n.getFoo);
+
+        expect(process.toMermaid()).toContain('n1["getBar"]');
+        expect(process.toMermaid()).not.toContain('getFoo');
+    });
+});
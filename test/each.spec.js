@@ -0,0 +1,186 @@
+const { compose, parallel, each, Errors } = require('../src/processor');
+const { mockProcessor, processors: p, processorNames: n, disableErrorLogging, enableErrorLogging, sleep, itIfAbortable } = require('./utils');
+
+describe('Each (Fan-Out)', () => {
+    const processorsPath = require('path').join(__dirname, './composition');
+
+    beforeEach(enableErrorLogging);
+
+    const getOrder = (options) => mockProcessor('getOrder', {
+        process: async (data, context) => {
+            data.order = { id: context.item, index: context.itemIndex };
+        },
+        ...options,
+    });
+
+    it('should run the processor once per item and collect the data from each, in order', async () => {
+        const process = compose('Each', {
+            processors: [each('context.orderIds', getOrder())],
+        });
+
+        const { data } = await process.start({ orderIds: [3, 2, 1] });
+
+        expect(data.getOrder).toEqual([
+            { order: { id: 3, index: 0 } },
+            { order: { id: 2, index: 1 } },
+            { order: { id: 1, index: 2 } },
+        ]);
+    });
+
+    it('should read items from nested data and use the given result key', async () => {
+        const process = compose('Each Data Path', {
+            processors: [
+                mockProcessor('getCart', { process: async (data) => { data.cart = { orderIds: ['a'] }; } }),
+                each('data.cart.orderIds', getOrder(), { resultKey: 'orders' }),
+            ],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.orders).toEqual([{ order: { id: 'a', index: 0 } }]);
+    });
+
+    it('should treat a missing list as no items', async () => {
+        const process = compose('Each Missing', {
+            processors: [each('context.orderIds', getOrder())],
+        });
+
+        const { data, errors } = await process.start({});
+
+        expect(errors.length).toEqual(0);
+        expect(data.getOrder).toEqual([]);
+    });
+
+    it('should report an error if the path is not a list', async () => {
+        disableErrorLogging();
+        const process = compose('Each Not List', {
+            processors: [each('context.orderIds', getOrder())],
+        });
+
+        const { errors } = await process.start({ orderIds: 'abc' }, true);
+
+        expect(errors[0].message).toEqual(Errors.EachItemsNotArray('context.orderIds', 'abc'));
+    });
+
+    it('should process no more than the concurrency limit at once', async () => {
+        const tracker = { active: 0, max: 0 };
+        const process = compose('Each Limited', {
+            processors: [
+                each('context.orderIds', mockProcessor('getOrder', {
+                    process: async () => {
+                        tracker.active++;
+                        tracker.max = Math.max(tracker.max, tracker.active);
+                        await sleep(5);
+                        tracker.active--;
+                    },
+                }), { concurrency: 2 }),
+            ],
+        });
+
+        await process.start({ orderIds: [1, 2, 3, 4, 5] });
+
+        expect(tracker.max).toEqual(2);
+    });
+
+    it('should report errors per item with their index', async () => {
+        disableErrorLogging();
+        const doFoo = p.doFoo({ prerequisites: ['getOrder'] });
+        const process = compose('Each Errors', {
+            processors: [
+                each('context.orderIds', getOrder({
+                    process: async (data, context) => {
+                        if (context.item < 0) {
+                            throw Error(`Bad order id: ${context.item}`);
+                        }
+                        data.id = context.item;
+                    },
+                })),
+                doFoo,
+            ],
+        });
+
+        const { data, errors } = await process.start({ orderIds: [1, -2, 3, -4] }, true);
+
+        expect(errors.map(err => ({ occurredIn: err.occurredIn, index: err.index }))).toEqual([
+            { occurredIn: 'getOrder', index: 1 },
+            { occurredIn: 'getOrder', index: 3 },
+        ]);
+        expect(data.getOrder).toEqual([{ id: 1 }, undefined, { id: 3 }, undefined]);
+        expect(doFoo.process).not.toHaveBeenCalled(); // a prerequisite with any failed item counts as failed
+    });
+
+    it('should run items skipped by runIf without a result', async () => {
+        const process = compose('Each RunIf', {
+            processors: [each('context.orderIds', getOrder({ runIf: (data, context) => context.item !== 2 }))],
+        });
+
+        const { data } = await process.start({ orderIds: [1, 2] });
+
+        expect(data.getOrder).toEqual([{ order: { id: 1, index: 0 } }, undefined]);
+    });
+
+    it('should add cookies set by items to the run cookies', async () => {
+        const process = compose('Each Cookies', {
+            processors: [each('context.orderIds', getOrder({
+                process: async (data, context) => {
+                    data.cookies[`order${context.item}`] = 'seen';
+                    data.id = context.item;
+                },
+            }))],
+        });
+
+        const { data } = await process.start({ orderIds: [1, 2] });
+
+        expect(data.getOrder).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(data.cookies).toEqual({ order1: 'seen', order2: 'seen' });
+    });
+
+    itIfAbortable('should not start queued items once the run is cancelled', async () => {
+        disableErrorLogging();
+        const abortController = new AbortController();
+        const cancelled = getOrder({ process: async () => { abortController.abort(); } });
+        const process = compose('Each Cancel', { processors: [each('context.orderIds', cancelled, { concurrency: 1 })] });
+
+        await expect(process.start({ orderIds: [1, 2, 3] }, false, { signal: abortController.signal })).rejects.toHaveProperty('isCancelled', true);
+
+        expect(cancelled.process).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not start queued items once the run is past its deadline', async () => {
+        disableErrorLogging();
+        const late = getOrder({ process: async () => { await sleep(30); } });
+        const process = compose('Each Deadline', { deadline: 10, processors: [each('context.orderIds', late, { concurrency: 1 })] });
+
+        const runEx = await process.start({ orderIds: [1, 2, 3] }).catch(ex => ex);
+        await sleep(40); // let the first item finish, which would start the next if it was still queued
+
+        expect(runEx.isDeadlineExceeded).toBe(true);
+        expect(late.process).toHaveBeenCalledTimes(1);
+        expect(runEx.execution.processors.map(entry => [entry.status, entry.index])).toEqual([['skipped-stopped', 1], ['skipped-stopped', 2]]);
+    });
+
+    it('should import the processor by name from a processors path', async () => {
+        const process = compose('Each Path', {
+            processorsPath,
+            pipeline: [each('context.items', 'sidestep')],
+        });
+
+        const { data } = await process.start({ items: [1, 2] });
+
+        expect(data.sidestep).toEqual([{ sidestep: true }, { sidestep: true }]);
+    });
+
+    it('should throw if given an invalid path, processor, or concurrency', () => {
+        expect(() => each('orderIds', 'getOrder')).toThrow(Errors.EachPathInvalid('orderIds'));
+        expect(() => each('context.orderIds', parallel('getOrder'))).toThrow(Errors.EachProcessorInvalid());
+        expect(() => each('context.orderIds', 'getOrder', { concurrency: 0 })).toThrow(Errors.ConcurrencyNotPositiveInt(0));
+    });
+
+    it('should validate prerequisites for the processor', async () => {
+        const process = compose('Each Prereqs', {
+            processors: [each('context.orderIds', p.getFoo({ prerequisites: [n.getBar] }))],
+        });
+
+        await expect(process.start({})).rejects.toHaveProperty('isInvalidProcessError', true);
+    });
+});
@@ -0,0 +1,109 @@
+const { compose, parallel } = require('../src/processor');
+const { mockProcessor, processors: p, processorNames: n, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Run Events', () => {
+    beforeEach(enableErrorLogging);
+
+    /** Listens to all the given events on the process, and gets the list they are recorded in (as [eventName, event]). */
+    const record = (process, eventNames) => {
+        const events = [];
+        eventNames.forEach(eventName => process.on(eventName, event => events.push([eventName, event])));
+        return events;
+    }
+
+    it('should emit start/end events for the process and each step, with the run id and timings', async () => {
+        const process = compose('Events', {
+            processors: [p.getFoo(), parallel(p.getBar(), p.getBaz())],
+        });
+        const events = record(process, ['processStart', 'stepStart', 'stepEnd', 'processEnd']);
+
+        const { context } = await process.start({ foo: 1 }, false, { runId: 'run-1' });
+
+        expect(events.map(([eventName, event]) => [eventName, event.stepName])).toEqual([
+            ['processStart', undefined],
+            ['stepStart', n.getFoo],
+            ['stepEnd', n.getFoo],
+            ['stepStart', `'Parallel: ["getBar","getBaz"]`],
+            ['stepEnd', `'Parallel: ["getBar","getBaz"]`],
+            ['processEnd', undefined],
+        ]);
+        events.forEach(([, event]) => {
+            expect(event).toEqual(expect.objectContaining({ runId: 'run-1', processName: 'Events', timestamp: expect.any(Number), elapsed: expect.any(Number) }));
+        });
+        expect(events[0][1].startingContext).toEqual({ foo: 1 });
+        expect(events[2][1]).toEqual(expect.objectContaining({ ok: true, duration: expect.any(Number) }));
+        expect(events[5][1]).toEqual(expect.objectContaining({ ok: true, duration: expect.any(Number) }));
+        expect(context.runId).toEqual('run-1');
+    });
+
+    it('should give each run its own id', async () => {
+        const process = compose('Events Ids', { processors: [p.getFoo()] });
+        const events = record(process, ['processStart']);
+
+        await process.start({});
+        await process.start({});
+
+        expect(events[0][1].runId).toEqual(expect.any(String));
+        expect(events[0][1].runId).not.toEqual(events[1][1].runId);
+    });
+
+    it('should emit skipped processors with the reason', async () => {
+        disableErrorLogging();
+        const process = compose('Events Skipped', {
+            processors: [
+                p.getFoo({ runIf: () => false }),
+                p.getBar({ process: async () => { throw Error('Bar failed'); } }),
+                p.doBar({ prerequisites: [n.getBar] }),
+            ],
+        });
+        const events = record(process, ['processorSkipped']);
+
+        await process.start({}, true);
+
+        expect(events.map(([, event]) => ({ processorName: event.processorName, reason: event.reason, prerequisite: event.prerequisite }))).toEqual([
+            { processorName: n.getFoo, reason: 'runIf', prerequisite: undefined },
+            { processorName: n.doBar, reason: 'prerequisite', prerequisite: n.getBar },
+        ]);
+    });
+
+    it('should emit processor errors, failed steps, and failed processes', async () => {
+        disableErrorLogging();
+        const barEx = Error('Bar failed');
+        const process = compose('Events Errors', {
+            processors: [p.getBar({ process: async () => { throw barEx; } })],
+        });
+        const events = record(process, ['processorError', 'stepEnd', 'processEnd']);
+
+        await expect(process.start({})).rejects.toHaveProperty('isProcessError', true);
+
+        expect(events.map(([eventName]) => eventName)).toEqual(['processorError', 'stepEnd', 'processEnd']);
+        expect(events[0][1]).toEqual(expect.objectContaining({ processorName: n.getBar, error: barEx }));
+        expect(events[1][1].ok).toBe(false);
+        expect(events[2][1]).toEqual(expect.objectContaining({ ok: false, error: expect.objectContaining({ isProcessError: true }) }));
+    });
+
+    it('should emit when cookies are reset', async () => {
+        disableErrorLogging();
+        const process = compose('Events Cookies', {
+            processors: [mockProcessor('getFoo', { process: async (data) => { data.cookies = 'yum'; } })],
+        });
+        const events = record(process, ['cookiesReset']);
+
+        await process.start({});
+
+        expect(events[0][1].processorName).toEqual('getFoo');
+    });
+
+    it('should stop emitting to removed listeners, and not break runs when listeners throw', async () => {
+        disableErrorLogging();
+        const process = compose('Events Listeners', { processors: [p.getFoo()] });
+        const listener = jest.fn();
+        process.on('processStart', listener).off('processStart', listener);
+        process.once('processEnd', () => { throw Error('Listener failed'); });
+
+        const { errors } = await process.start({});
+
+        expect(errors.length).toEqual(0);
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
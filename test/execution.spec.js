@@ -0,0 +1,111 @@
+const { compose, parallel, race, each, ProcessorError } = require('../src/processor');
+const { mockProcessor, processors: p, processorNames: n, HttpResponse, disableErrorLogging, enableErrorLogging, sleep } = require('./utils');
+const { logEmitter } = require('../src/logging');
+
+describe('Execution Report', () => {
+    beforeEach(enableErrorLogging);
+
+    /** Gets just the name/status/group of each processor in the report, to compare easily. */
+    const summarize = execution => execution.processors.map(({ name, status, group }) => ({ name, status, group }));
+
+    it('should report each processor that ran or was skipped, with timings and its group', async () => {
+        const process = compose('Execution', {
+            processors: [
+                p.getFoo({ process: async () => sleep(5) }),
+                parallel(p.getBar(), p.getBaz({ runIf: () => false })),
+            ],
+        });
+
+        const { execution } = await process.start({}, false, { runId: 'run-1' });
+
+        expect(execution).toEqual(expect.objectContaining({
+            runId: 'run-1',
+            processName: 'Execution',
+            ok: true,
+            startedAt: expect.any(Number),
+            endedAt: expect.any(Number),
+            duration: expect.any(Number),
+        }));
+        const group = `'Parallel: ["getBar","getBaz"]`;
+        expect(summarize(execution)).toEqual([
+            { name: n.getFoo, status: 'ran', group: null },
+            { name: n.getBar, status: 'ran', group },
+            { name: n.getBaz, status: 'skipped-runIf', group },
+        ]);
+        const [getFoo] = execution.processors;
+        expect(getFoo.duration).toBeGreaterThanOrEqual(4);
+        expect(getFoo.endedAt - getFoo.startedAt).toEqual(getFoo.duration);
+        expect(getFoo.attempts).toEqual(1);
+    });
+
+    it('should attach the report to the ProcessError with failed, timed out, and skipped processors', async () => {
+        disableErrorLogging();
+        const process = compose('Execution Failed', {
+            processors: [
+                parallel(
+                    p.getFoo({ process: async () => { throw new ProcessorError('Foo failed', { statusCode: 400 }); } }),
+                    { ...p.getBar({ process: async () => sleep(50) }), timeout: 5 },
+                ),
+                p.doFoo({ prerequisites: [n.getFoo] }),
+            ],
+        });
+
+        let actualEx = null;
+        try {
+            const { errors, execution } = await process.start({}, true);
+            expect(errors.length).toEqual(2);
+            expect(execution.ok).toBe(false);
+            expect(summarize(execution).map(({ name, status }) => ({ name, status }))).toEqual([
+                { name: n.getFoo, status: 'failed' },
+                { name: n.getBar, status: 'timed-out' },
+                { name: n.doFoo, status: 'skipped-prereq' },
+            ]);
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx.isProcessError).toBe(true);
+        expect(actualEx.execution.ok).toBe(false);
+        expect(summarize(actualEx.execution).map(({ status }) => status)).toEqual(['failed', 'timed-out']);
+        expect(actualEx.execution.processors.map(({ statusCode }) => statusCode)).toEqual([400, 504]);
+    });
+
+    it('should report race losers and each items', async () => {
+        const process = compose('Execution Groups', {
+            processors: [
+                race(p.getFoo({ process: async () => sleep(20) }), p.getBar()),
+                each('context.ids', p.doFoo()),
+            ],
+        });
+
+        const { execution } = await process.start({ ids: [1, 2] });
+
+        expect(execution.processors.map(({ name, status, index }) => ({ name, status, index }))).toEqual([
+            { name: n.getFoo, status: 'lost', index: undefined },
+            { name: n.getBar, status: 'ran', index: undefined },
+            { name: n.doFoo, status: 'ran', index: 0 },
+            { name: n.doFoo, status: 'ran', index: 1 },
+        ]);
+        expect(execution.processors[1].group).toEqual(`'Race: ["getFoo","getBar"]`);
+        expect(execution.processors[2].group).toEqual(`'Each: doFoo <- context.ids`);
+    });
+
+    it('should include the report in the logged error when send fails', async () => {
+        disableErrorLogging();
+        const errorLogs = jest.fn();
+        logEmitter.on('error', errorLogs);
+        const process = compose('Execution Send', {
+            processors: [mockProcessor('getFoo', { process: async () => { throw Error('Foo failed'); } })],
+        });
+
+        try {
+            await process.send(new HttpResponse(), {}, true);
+        } finally {
+            logEmitter.off('error', errorLogs);
+        }
+
+        const loggedEx = errorLogs.mock.calls.map(([ex]) => ex).find(ex => ex && ex.isProcessError);
+        expect(summarize(loggedEx.execution)).toEqual([{ name: 'getFoo', status: 'failed', group: null }]);
+    });
+});
@@ -0,0 +1,181 @@
+const { compose, parallel, branch, race, each } = require('../src/processor');
+const { InvalidProcessError } = require('../src/errors');
+const { mockProcessor, processors: p, processorNames: n, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Explain (Dry Run)', () => {
+    beforeEach(enableErrorLogging);
+
+    it('should get the plan without running any processors', async () => {
+        const getFoo = p.getFoo();
+        const getBar = p.getBar();
+        const getBaz = p.getBaz({ runIf: (data, context) => context.wantBaz });
+        const doFoo = p.doFoo({ prerequisites: [n.getFoo] });
+        const process = compose('Explain', {
+            processors: [getFoo, parallel(getBar, getBaz), doFoo],
+        });
+
+        const plan = await process.explain({});
+
+        expect(plan.processName).toEqual('Explain');
+        expect(plan.steps).toEqual([
+            { type: 'processor', name: n.getFoo, status: 'run' },
+            {
+                type: 'parallel', name: expect.any(String), concurrency: null, isolated: false, processors: [
+                    { type: 'processor', name: n.getBar, status: 'run' },
+                    { type: 'processor', name: n.getBaz, status: 'skip', reason: 'runIf' },
+                ]
+            },
+            { type: 'processor', name: n.doFoo, status: 'run' },
+        ]);
+        [getFoo, getBar, getBaz, doFoo].forEach(processor => expect(processor.process).not.toHaveBeenCalled());
+        expect(getBaz.runIf).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use stub data for runIf predicates that depend on earlier steps', async () => {
+        const process = compose('Explain Stubs', {
+            processors: [
+                p.getFoo(),
+                p.getBar({ runIf: (data) => data.foo === 'yes' }),
+            ],
+        });
+
+        const withoutStub = await process.explain({});
+        const withStub = await process.explain({}, { stubs: { [n.getFoo]: { data: { foo: 'yes' } } } });
+        const withStubFn = await process.explain({ foo: 'yes' }, { stubs: { [n.getFoo]: (data, context) => ({ data: { foo: context.foo } }) } });
+
+        expect(withoutStub.steps[1]).toEqual({ type: 'processor', name: n.getBar, status: 'skip', reason: 'runIf' });
+        expect(withStub.steps[1]).toEqual({ type: 'processor', name: n.getBar, status: 'run' });
+        expect(withStubFn.steps[1]).toEqual({ type: 'processor', name: n.getBar, status: 'run' });
+    });
+
+    it('should not let stubs from a parallel group member change the runIf of another member', async () => {
+        const getProcess = group => compose('Explain Parallel Stubs', {
+            processors: [
+                group(p.getFoo({ process: async (data) => { data.foo = true; } }), p.getBar({ runIf: (data) => !!data.foo })),
+                p.getBaz({ runIf: (data) => !!data.foo }),
+            ],
+        });
+        const stubs = { [n.getFoo]: { data: { foo: true } } };
+
+        const plan = await getProcess(parallel).explain({}, { stubs });
+        const isolatedPlan = await getProcess(parallel.isolated).explain({}, { stubs });
+        const { execution } = await getProcess(parallel).start({});
+
+        [plan, isolatedPlan].forEach(({ steps }) => {
+            expect(steps[0].processors[1]).toEqual({ type: 'processor', name: n.getBar, status: 'skip', reason: 'runIf' });
+            expect(steps[1]).toEqual({ type: 'processor', name: n.getBaz, status: 'run' }); // the stub still applies after the group
+        });
+        expect(execution.processors.find(entry => entry.name === n.getBar).status).toEqual('skipped-runIf');
+    });
+
+    it('should start with the given data', async () => {
+        const process = compose('Explain Data', {
+            processors: [p.getFoo({ runIf: (data) => data.ready })],
+        });
+
+        const plan = await process.explain({}, { data: { ready: true } });
+
+        expect(plan.steps[0].status).toEqual('run');
+    });
+
+    it('should skip processors whose prerequisites would fail, but not their dependents', async () => {
+        const process = compose('Explain Prereqs', {
+            processors: [
+                p.getFoo(),
+                p.getBar({ prerequisites: [n.getFoo] }),
+                p.getBaz({ prerequisites: [n.getBar] }),
+            ],
+        });
+
+        const plan = await process.explain({}, { stubs: { [n.getFoo]: { fails: true } } });
+
+        expect(plan.steps).toEqual([
+            { type: 'processor', name: n.getFoo, status: 'fail', reason: 'stub' },
+            { type: 'processor', name: n.getBar, status: 'skip', reason: 'prerequisite', prerequisite: n.getFoo },
+            { type: 'processor', name: n.getBaz, status: 'run' }, // like start, only failures (not skips) stop dependents
+        ]);
+    });
+
+    it('should report required processors and runIf errors as failing', async () => {
+        const runIfEx = Error('no way to tell');
+        const process = compose('Explain Required', {
+            runIfMode: 'require',
+            processors: [
+                p.getFoo({ runIf: () => false }),
+                p.getBar({ runIf: () => { throw runIfEx; } }),
+                p.getBaz({ prerequisites: [n.getBar] }),
+            ],
+        });
+
+        const plan = await process.explain({});
+
+        expect(plan.steps).toEqual([
+            { type: 'processor', name: n.getFoo, status: 'fail', reason: 'required' },
+            { type: 'processor', name: n.getBar, status: 'fail', reason: 'runIfError', error: runIfEx },
+            { type: 'processor', name: n.getBaz, status: 'skip', reason: 'prerequisite', prerequisite: n.getBar },
+        ]);
+    });
+
+    it('should explain the selected branch route only', async () => {
+        const process = compose('Explain Branch', {
+            processors: [
+                branch((data, context) => context.kind, {
+                    foo: [p.getFoo(), p.doFoo()],
+                    default: [p.getBar()],
+                }),
+            ],
+        });
+
+        const fooPlan = await process.explain({ kind: 'foo' });
+        const otherPlan = await process.explain({ kind: 'other' });
+
+        expect(fooPlan.steps[0]).toEqual(expect.objectContaining({ type: 'branch', selected: 'foo', route: 'foo' }));
+        expect(fooPlan.steps[0].steps.map(step => step.name)).toEqual([n.getFoo, n.doFoo]);
+        expect(otherPlan.steps[0]).toEqual(expect.objectContaining({ selected: 'other', route: 'default' }));
+        expect(otherPlan.steps[0].steps.map(step => step.name)).toEqual([n.getBar]);
+    });
+
+    it('should explain race and each steps', async () => {
+        const getItem = mockProcessor('getItem', { runIf: (data, context) => context.item !== 'skip' });
+        const process = compose('Explain Race Each', {
+            processors: [
+                race(p.getFoo(), p.getBar()),
+                each('context.items', getItem),
+            ],
+        });
+
+        const plan = await process.explain({ items: ['a', 'skip'] });
+
+        expect(plan.steps[0]).toEqual(expect.objectContaining({ type: 'race' }));
+        expect(plan.steps[0].processors.map(processor => processor.status)).toEqual(['run', 'run']);
+        expect(plan.steps[1]).toEqual(expect.objectContaining({ type: 'each', itemsPath: 'context.items' }));
+        expect(plan.steps[1].items).toEqual([
+            { type: 'processor', name: 'getItem', status: 'run', index: 0 },
+            { type: 'processor', name: 'getItem', status: 'skip', reason: 'runIf', index: 1 },
+        ]);
+        expect(getItem.process).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid params without stopping the plan', async () => {
+        const process = compose('Explain Params', {
+            paramsSchema: { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] },
+            processors: [p.getFoo({ runIf: (data, context) => context.params.id === 5 })],
+        });
+
+        const badPlan = await process.explain({ params: {} });
+        const goodPlan = await process.explain({ params: { id: '5' } });
+
+        expect(badPlan.paramsErrors).toEqual([{ field: 'id', message: 'is required' }]);
+        expect(goodPlan.paramsErrors).toEqual([]);
+        expect(goodPlan.steps[0].status).toEqual('run');
+    });
+
+    it('should throw if the process is not valid', async () => {
+        disableErrorLogging();
+        const process = compose('Explain Invalid', {
+            processors: [p.getFoo({ prerequisites: ['notThere'] })],
+        });
+
+        await expect(process.explain({})).rejects.toThrow(InvalidProcessError);
+    });
+});
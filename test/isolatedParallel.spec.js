@@ -0,0 +1,217 @@
+const { compose, parallel, Errors } = require('../src/processor');
+const { mockProcessor, disableErrorLogging, enableErrorLogging, sleep } = require('./utils');
+
+describe('Isolated Parallel Groups', () => {
+    const processorsPath = require('path').join(__dirname, './composition');
+
+    beforeEach(enableErrorLogging);
+
+    /** Gets a processor that waits a bit, then sets the given props on data. */
+    const setter = (name, props, wait = 0) => mockProcessor(name, {
+        process: async (data, context) => {
+            await sleep(wait);
+            Object.assign(data, props);
+            context[name] = true;
+        },
+    });
+
+    it('should give each processor its own copy of data and context', async () => {
+        const seen = {};
+        const process = compose('Isolated Copies', {
+            processors: [
+                parallel.isolated(
+                    mockProcessor('getFoo', {
+                        process: async (data) => {
+                            data.foo = true;
+                            await sleep(5);
+                            seen.fooSawBar = data.bar;
+                        },
+                    }),
+                    mockProcessor('getBar', {
+                        process: async (data) => {
+                            data.bar = true;
+                            seen.barSawFoo = data.foo;
+                        },
+                    }),
+                ),
+            ],
+        });
+
+        const { data } = await process.start({});
+
+        expect(seen).toEqual({ fooSawBar: undefined, barSawFoo: undefined });
+        expect(data).toEqual({ foo: true, bar: true });
+    });
+
+    it('should merge the changes of each processor, including cookies and deletions', async () => {
+        const process = compose('Isolated Merge', {
+            processors: [
+                setter('getFoo', { keep: 1 }),
+                parallel.isolated(
+                    mockProcessor('getBar', {
+                        process: async (data, context) => {
+                            data.bar = 'bar';
+                            data.cookies.bar = 'b';
+                            delete data.keep;
+                            context.bar = true;
+                        },
+                    }),
+                    mockProcessor('getBaz', {
+                        process: async (data) => {
+                            data.baz = 'baz';
+                            data.cookies.baz = 'z';
+                            return { data: { returned: true } };
+                        },
+                    }),
+                ),
+            ],
+        });
+
+        const { data, context } = await process.start({});
+
+        expect(data).toEqual({ bar: 'bar', baz: 'baz', returned: true, cookies: { bar: 'b', baz: 'z' } });
+        expect(context.bar).toBe(true);
+    });
+
+    it('should fail the step when two processors change the same prop, leaving it as it was', async () => {
+        disableErrorLogging();
+        const process = compose('Isolated Conflict', {
+            processors: [
+                setter('getFoo', { total: 0 }),
+                parallel.isolated(
+                    setter('getBar', { total: 1, bar: true }, 5),
+                    setter('getBaz', { total: 2 }),
+                ),
+            ],
+        });
+
+        const { data, errors } = await process.start({}, true);
+
+        expect(errors.length).toEqual(1);
+        expect(errors[0].occurredIn).toEqual(`'Parallel (isolated): ["getBar","getBaz"]`);
+        expect(errors[0].ex.conflicts).toEqual([{ key: 'data.total', processorNames: ['getBar', 'getBaz'] }]);
+        expect(errors[0].message).toEqual(Errors.MergeConflict(errors[0].occurredIn, errors[0].ex.conflicts));
+        expect(data.total).toEqual(0);
+        expect(data.bar).toBe(true);
+    });
+
+    it('should isolate and merge changes to nested objects by path', async () => {
+        disableErrorLogging();
+        const seen = {};
+        const process = compose('Isolated Nested', {
+            processors: [
+                setter('getFoo', { order: { total: 0, lines: [] } }),
+                parallel.isolated(
+                    mockProcessor('getBar', {
+                        process: async (data) => {
+                            data.order.total = 1;
+                            data.order.bar = true;
+                            await sleep(5);
+                            seen.barSawBaz = data.order.baz;
+                        },
+                    }),
+                    mockProcessor('getBaz', {
+                        process: async (data) => {
+                            data.order.total = 2;
+                            data.order.baz = true;
+                            data.order.lines.push('baz');
+                        },
+                    }),
+                ),
+            ],
+        });
+
+        const { data, errors } = await process.start({}, true);
+
+        expect(seen.barSawBaz).toBeUndefined();
+        expect(errors.length).toEqual(1);
+        expect(errors[0].ex.conflicts).toEqual([{ key: 'data.order.total', processorNames: ['getBar', 'getBaz'] }]);
+        expect(data.order).toEqual({ total: 0, lines: ['baz'], bar: true, baz: true });
+    });
+
+    it('should not count the same value as a conflict', async () => {
+        const process = compose('Isolated Same', {
+            processors: [
+                parallel.isolated(
+                    setter('getBar', { status: 'ok' }),
+                    setter('getBaz', { status: 'ok' }),
+                ),
+            ],
+        });
+
+        const { data, errors } = await process.start({}, true);
+
+        expect(errors.length).toEqual(0);
+        expect(data.status).toEqual('ok');
+    });
+
+    it('should resolve conflicts by pipeline order, not by which finished last', async () => {
+        const getProcess = onConflict => compose('Isolated Order', {
+            processors: [
+                parallel.isolated({ onConflict },
+                    setter('getBar', { total: 1 }, 10),
+                    setter('getBaz', { total: 2 }),
+                ),
+            ],
+        });
+
+        expect((await getProcess('first').start({})).data.total).toEqual(1);
+        expect((await getProcess('last').start({})).data.total).toEqual(2);
+    });
+
+    it('should resolve conflicts with a function', async () => {
+        const onConflict = jest.fn((key, values) => values.reduce((sum, { value }) => sum + value, 0));
+        const process = compose('Isolated Function', {
+            processors: [
+                parallel.isolated({ onConflict, concurrency: 1 },
+                    setter('getBar', { total: 1 }),
+                    setter('getBaz', { total: 2 }),
+                ),
+            ],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.total).toEqual(3);
+        expect(onConflict).toHaveBeenCalledWith('data.total', [{ processorName: 'getBar', value: 1 }, { processorName: 'getBaz', value: 2 }]);
+    });
+
+    it('should not merge changes from processors that fail or are skipped', async () => {
+        disableErrorLogging();
+        const process = compose('Isolated Failures', {
+            processors: [
+                parallel.isolated(
+                    mockProcessor('getBar', {
+                        process: async (data) => {
+                            data.bar = true;
+                            throw Error('Bar failed');
+                        },
+                    }),
+                    mockProcessor('getBaz', { process: async (data) => { data.baz = true; }, runIf: () => false }),
+                    setter('getFoo', { foo: true }),
+                ),
+            ],
+        });
+
+        const { data, errors } = await process.start({}, true);
+
+        expect(errors.map(err => err.occurredIn)).toEqual(['getBar']);
+        expect(data).toEqual({ foo: true });
+    });
+
+    it('should import isolated groups from a processors path', async () => {
+        const process = compose('Isolated Path', {
+            processorsPath,
+            pipeline: [parallel.isolated('step1', 'sidestep')],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data).toEqual({ step1: true, sidestep: true });
+    });
+
+    it('should throw for an invalid onConflict', () => {
+        expect(() => parallel.isolated({ onConflict: 'merge' }, 'getFoo')).toThrow(Errors.InvalidOnConflict('merge'));
+        expect(() => parallel.isolated({ concurrency: 0 }, 'getFoo')).toThrow(Errors.ConcurrencyNotPositiveInt(0));
+    });
+});
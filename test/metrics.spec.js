@@ -0,0 +1,125 @@
+const { compose, parallel, race, ProcessorError } = require('../src/processor');
+const { createMetricsRegistry, metrics: defaultMetrics, PROMETHEUS_CONTENT_TYPE, Errors: MetricsErrors } = require('../src/metrics');
+const { processors: p, processorNames: n, HttpResponse, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Metrics', () => {
+    let metrics;
+
+    beforeEach(() => {
+        enableErrorLogging();
+        metrics = createMetricsRegistry({ buckets: [0.1, 1] });
+    });
+
+    /** Gets the value of the line for the given series (name plus label set) in the Prometheus text. */
+    const getValue = (text, seriesName) => {
+        const line = text.split('\n').find(l => l.startsWith(seriesName + ' '));
+        return line === undefined ? undefined : Number(line.slice(seriesName.length + 1));
+    }
+
+    it('should count runs and processor runs, with latency histograms', async () => {
+        const process = compose('Counted', {
+            metrics,
+            processors: [p.getFoo(), parallel(p.getBar(), p.getBaz())],
+        });
+
+        await process.start({});
+        await process.start({});
+
+        const text = metrics.toPrometheus();
+        expect(getValue(text, 'compozor_process_runs_total{process="Counted"}')).toEqual(2);
+        expect(getValue(text, 'compozor_processor_runs_total{process="Counted",processor="getBar"}')).toEqual(2);
+        expect(getValue(text, 'compozor_process_duration_seconds_bucket{process="Counted",le="0.1"}')).toEqual(2);
+        expect(getValue(text, 'compozor_process_duration_seconds_bucket{process="Counted",le="+Inf"}')).toEqual(2);
+        expect(getValue(text, 'compozor_process_duration_seconds_count{process="Counted"}')).toEqual(2);
+        expect(getValue(text, 'compozor_processor_duration_seconds_count{process="Counted",processor="getFoo"}')).toEqual(2);
+        expect(text).toContain('# TYPE compozor_processor_duration_seconds histogram\n');
+        expect(text).not.toContain('errors_total');
+    });
+
+    it('should count errors by status code and skips by reason', async () => {
+        disableErrorLogging();
+        const process = compose('Errors', {
+            metrics,
+            processors: [
+                p.getFoo({ runIf: () => false }),
+                p.getBar({ process: async () => { throw new ProcessorError('Missing.', { statusCode: 404 }); } }),
+                p.getBaz({ prerequisites: [n.getBar] }),
+                p.doFoo({ process: async () => { throw Error('Broken.'); } }),
+            ],
+        });
+
+        await process.start({}, true);
+        await expect(process.start({})).rejects.toThrow();
+
+        const text = metrics.toPrometheus();
+        expect(getValue(text, 'compozor_process_errors_total{process="Errors",status_code="404"}')).toEqual(2);
+        expect(getValue(text, 'compozor_processor_errors_total{process="Errors",processor="getBar",status_code="404"}')).toEqual(2);
+        expect(getValue(text, 'compozor_processor_errors_total{process="Errors",processor="doFoo",status_code="500"}')).toEqual(1);
+        expect(getValue(text, 'compozor_processor_skips_total{process="Errors",processor="getFoo",reason="runIf"}')).toEqual(2);
+        expect(getValue(text, 'compozor_processor_skips_total{process="Errors",processor="getBaz",reason="prerequisite"}')).toEqual(1);
+        expect(getValue(text, 'compozor_processor_runs_total{process="Errors",processor="getFoo"}')).toBeUndefined();
+    });
+
+    it('should count processors skipped in a race', async () => {
+        const process = compose('Race Skips', {
+            metrics,
+            processors: [race(p.getFoo({ runIf: () => false }), p.getBar())],
+        });
+
+        await process.start({});
+        const text = metrics.toPrometheus();
+
+        expect(getValue(text, 'compozor_processor_skips_total{process="Race Skips",processor="getFoo",reason="runIf"}')).toEqual(1);
+        expect(getValue(text, 'compozor_processor_runs_total{process="Race Skips",processor="getFoo"}')).toBeUndefined();
+    });
+
+    it('should escape label values', async () => {
+        const process = compose('Say "Hi"\\', { metrics, processors: [p.getFoo()] });
+
+        await process.start({});
+
+        expect(metrics.toPrometheus()).toContain('compozor_process_runs_total{process="Say \\"Hi\\"\\\\"} 1\n');
+    });
+
+    it('should serve the metrics with a handler', async () => {
+        const process = compose('Served', { metrics, processors: [p.getFoo()] });
+        await process.start({});
+        const res = new HttpResponse();
+        res.set = jest.fn();
+
+        metrics.use()({}, res);
+
+        expect(res.set).toHaveBeenCalledWith('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith(metrics.toPrometheus());
+    });
+
+    it('should record into the default registry, unless given another or false', async () => {
+        defaultMetrics.reset();
+        await compose('Default', { processors: [p.getFoo()] }).start({});
+        await compose('Own', { metrics, processors: [p.getFoo()] }).start({});
+        await compose('None', { metrics: false, processors: [p.getFoo()] }).start({});
+
+        const defaultText = defaultMetrics.toPrometheus();
+        expect(defaultText).toContain('process="Default"');
+        expect(defaultText).not.toContain('process="Own"');
+        expect(defaultText).not.toContain('process="None"');
+        expect(metrics.toPrometheus()).toContain('process="Own"');
+    });
+
+    it('should clear metrics on reset', async () => {
+        await compose('Reset', { metrics, processors: [p.getFoo()] }).start({});
+
+        metrics.reset();
+
+        expect(metrics.toPrometheus()).toEqual('');
+    });
+
+    it('should error on invalid options', async () => {
+        disableErrorLogging();
+        const process = compose('Bad Metrics', { metrics: {}, processors: [p.getFoo()] });
+
+        await expect(process.start({})).rejects.toThrow();
+        expect(() => createMetricsRegistry({ buckets: [1, 0.5] })).toThrow(MetricsErrors.BucketsInvalid([1, 0.5]));
+    });
+});
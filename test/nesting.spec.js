@@ -0,0 +1,136 @@
+const { compose, parallel, Errors } = require('../src/processor');
+const { ProcessorError } = require('../src/errors');
+const { HttpResponse, disableErrorLogging, enableErrorLogging } = require('./utils');
+const { getErrorContent } = require('../src/response');
+
+describe('Nested Processes', () => {
+    const processorsPath = require('path').join(__dirname, './composition');
+
+    beforeEach(enableErrorLogging);
+
+    const getChild = () => {
+        const child = compose('Child');
+        child.register('childStep', (data, context) => {
+            data.childSawParentData = data.parentStep;
+            data.childSawParentContext = context.fromParent;
+            context.fromChild = true;
+        });
+        return child;
+    }
+
+    it('should run a composed process as a pipeline step sharing data/context', async () => {
+        const process = compose('Parent', {
+            processorsPath,
+            pipeline: [
+                'step1',
+                getChild(),
+                'step2',
+            ],
+        });
+
+        const { data, context } = await process.start({ fromParent: 'parentContext' });
+
+        expect(data.step1).toBe(true);
+        expect(data.childSawParentContext).toEqual('parentContext');
+        expect(data.step2).toBe(true);
+        expect(context.fromChild).toBe(true);
+        expect(context.processName).toEqual('Parent');
+    });
+
+    it('should run a composed process in a pipeline without a processorsPath', async () => {
+        const process = compose('Only Nested', {
+            pipeline: [
+                parallel(getChild()),
+            ],
+        });
+
+        const { context } = await process.start({});
+
+        expect(context.fromChild).toBe(true);
+    });
+
+    it('should run a registered composed process', async () => {
+        const process = compose('Register Nested');
+        process.register('parentStep', (data) => { data.parentStep = 'parentData'; });
+        process.register('child', getChild());
+
+        const { data } = await process.start({});
+
+        expect(data.childSawParentData).toEqual('parentData');
+    });
+
+    it('should only carry back data under dataKey for an isolated nested process', async () => {
+        const process = compose('Isolated Nested');
+        process.register('parentStep', (data) => { data.parentStep = 'parentData'; });
+        process.register('child', getChild(), { scope: 'isolated', dataKey: 'child' });
+
+        const { data, context } = await process.start({ fromParent: 'parentContext' });
+
+        expect(data.parentStep).toEqual('parentData');
+        expect(data.child).toEqual({
+            childSawParentData: undefined,
+            childSawParentContext: 'parentContext',
+        });
+        expect(context.fromChild).toBeUndefined();
+    });
+
+    it('should keep cookies set by a nested process', async () => {
+        const child = compose('Cookie Child');
+        child.register('setCookie', (data) => { data.cookies.fromChild = 'yum'; });
+        const process = compose('Cookie Parent');
+        process.register('setCookie', (data) => { data.cookies.fromParent = 'yum'; });
+        process.register('child', child);
+
+        const { data } = await process.start({});
+
+        expect(data.cookies).toEqual({ fromParent: 'yum', fromChild: 'yum' });
+    });
+
+    it('should surface nested errors as a ProcessorError in the parent', async () => {
+        disableErrorLogging();
+        const child = compose('Failing Child');
+        child.register('validate', () => {
+            throw new ProcessorError('Bad input.', { statusCode: 400, errors: { code: 'BAD' } });
+        });
+        const process = compose('Failing Parent');
+        process.register('child', child);
+
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx.isProcessError).toBe(true);
+        expect(actualEx.errorsFromProcessors[0].occurredIn).toEqual('child');
+        const processorError = actualEx.getMostSevereProcessorError();
+        expect(processorError).toBeInstanceOf(ProcessorError);
+        expect(processorError.message).toEqual(Errors.NestedProcessFailed('Failing Child', ['validate']));
+        expect(processorError.responseInfo.statusCode).toEqual(400);
+        expect(processorError.processError.isProcessError).toBe(true);
+
+        const res = new HttpResponse();
+        await process.send(res, {});
+        expect(res.status).toBeCalledWith(400);
+        expect(res.send).toBeCalledWith(getErrorContent('Bad input.', { code: 'BAD' }));
+    });
+
+    it('should surface nested invalid config as a ProcessorError in the parent', async () => {
+        disableErrorLogging();
+        const child = compose('Invalid Child', { deadline: -1 });
+        const process = compose('Invalid Child Parent');
+        process.register('child', child);
+
+        const { errors } = await process.start({}, true);
+
+        expect(errors[0].ex.isProcessorError).toBe(true);
+        expect(errors[0].ex.processError.isInvalidProcessError).toBe(true);
+    });
+
+    it('should reject an invalid nested scope', () => {
+        const process = compose('Invalid Scope');
+
+        expect(() => process.register('child', getChild(), { scope: 'global' })).toThrow(Errors.InvalidNestedScope('global'));
+    });
+});
@@ -0,0 +1,163 @@
+const { compose, parallel, Errors } = require('../src/processor');
+const createLimiter = require('../src/limiter');
+const { mockProcessor, processors: p, processorNames: n, disableErrorLogging, enableErrorLogging, sleep, itIfAbortable } = require('./utils');
+
+describe('Concurrency-Limited Parallel Groups', () => {
+    const processorsPath = require('path').join(__dirname, './composition');
+
+    beforeEach(enableErrorLogging);
+
+    /** Gets processors that track how many of them are running at once on the given tracker. */
+    const getTrackedProcessors = (count, tracker) => Array.from({ length: count }, (_, i) => mockProcessor(`call${i}`, {
+        process: async (data) => {
+            tracker.active++;
+            tracker.max = Math.max(tracker.max, tracker.active);
+            await sleep(5);
+            tracker.active--;
+            data[`call${i}`] = true;
+        },
+    }));
+
+    it('should run no more than the limit at once', async () => {
+        const tracker = { active: 0, max: 0 };
+        const process = compose('Limited', {
+            processors: [parallel.limit(2, ...getTrackedProcessors(5, tracker))],
+        });
+
+        const { data } = await process.start({});
+
+        expect(tracker.max).toEqual(2);
+        expect(Object.keys(data).filter(key => key.startsWith('call')).length).toEqual(5);
+    });
+
+    it('should still run unlimited parallel groups all at once', async () => {
+        const tracker = { active: 0, max: 0 };
+        const process = compose('Unlimited', {
+            processors: [parallel(...getTrackedProcessors(5, tracker))],
+        });
+
+        await process.start({});
+
+        expect(tracker.max).toEqual(5);
+    });
+
+    it('should keep the limit when imported from a processors path', async () => {
+        const process = compose('Limited Path', {
+            processorsPath,
+            pipeline: [
+                parallel.limit(1, 'slowStep1', 'step2'),
+            ],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.step1AlreadySet).toBe(true); // with a limit of 1, step2 has to wait on slowStep1
+    });
+
+    it('should keep the same error and prerequisite semantics as parallel', async () => {
+        disableErrorLogging();
+        const doFoo = p.doFoo({ prerequisites: [n.getFoo] });
+        const process = compose('Limited Errors', {
+            processors: [
+                parallel.limit(1,
+                    p.getFoo({ process: () => { throw Error('Foo failed') } }),
+                    p.getBar(),
+                ),
+                doFoo,
+            ],
+        });
+
+        const { errors } = await process.start({}, true);
+
+        expect(errors.map(err => err.occurredIn)).toEqual([n.getFoo]);
+        expect(doFoo.process).not.toHaveBeenCalled();
+    });
+
+    it('should not let processors in a limited group rely on each other', async () => {
+        const process = compose('Limited Prereqs', {
+            processors: [parallel.limit(1, p.getFoo(), p.getBar({ prerequisites: [n.getFoo] }))],
+        });
+
+        await expect(process.start({})).rejects.toHaveProperty('isInvalidProcessError', true);
+    });
+
+    it('should throw if the limit is not a positive integer', () => {
+        expect(() => parallel.limit(0, 'getFoo')).toThrow(Errors.ConcurrencyNotPositiveInt(0));
+        expect(() => parallel.limit('2', 'getFoo')).toThrow();
+        expect(() => parallel.limit(1.5, 'getFoo')).toThrow();
+    });
+
+    it('should keep the limit when deregistering from a limited group', async () => {
+        const tracker = { active: 0, max: 0 };
+        const process = compose('Limited Deregister', {
+            processors: [parallel.limit(2, ...getTrackedProcessors(4, tracker))],
+        });
+
+        process.deregister('call0');
+        await process.start({});
+
+        expect(tracker.max).toEqual(2);
+    });
+
+    itIfAbortable('should not start queued processors once the run is cancelled', async () => {
+        disableErrorLogging();
+        const abortController = new AbortController();
+        const getFoo = p.getFoo({ process: async () => { abortController.abort(); } });
+        const getBar = p.getBar();
+        const getBaz = p.getBaz();
+        const process = compose('Limited Cancel', {
+            processors: [parallel.limit(1, getFoo, getBar, getBaz)],
+        });
+
+        const onSkipped = jest.fn();
+        process.on('processorSkipped', onSkipped);
+
+        const runEx = await process.start({}, false, { signal: abortController.signal }).catch(ex => ex);
+
+        expect(runEx.isCancelled).toBe(true);
+        expect(getBar.process).not.toHaveBeenCalled();
+        expect(getBaz.process).not.toHaveBeenCalled();
+        expect(runEx.execution.processors.filter(entry => entry.status === 'skipped-stopped').map(entry => entry.name)).toEqual([n.getBar, n.getBaz]);
+        expect(onSkipped.mock.calls.map(([event]) => [event.processorName, event.reason])).toEqual([[n.getBar, 'stopped'], [n.getBaz, 'stopped']]);
+    });
+
+    it('should not start queued processors once the run is past its deadline', async () => {
+        disableErrorLogging();
+        const getFoo = p.getFoo({ process: async () => { await sleep(30); } });
+        const getBar = p.getBar();
+        const process = compose('Limited Deadline', {
+            deadline: 10,
+            processors: [parallel.limit(1, getFoo, getBar)],
+        });
+
+        const runEx = await process.start({}).catch(ex => ex);
+        await sleep(40); // let getFoo finish, which would start getBar if it was still queued
+
+        expect(runEx.isDeadlineExceeded).toBe(true);
+        expect(getBar.process).not.toHaveBeenCalled();
+        expect(runEx.execution.processors).toEqual([expect.objectContaining({ name: n.getBar, status: 'skipped-stopped' })]);
+    });
+
+    itIfAbortable('should not start queued isolated processors once the run is cancelled', async () => {
+        disableErrorLogging();
+        const abortController = new AbortController();
+        const getBar = p.getBar();
+        const process = compose('Limited Isolated Cancel', {
+            processors: [parallel.isolated({ concurrency: 1 }, p.getFoo({ process: async () => { abortController.abort(); } }), getBar)],
+        });
+
+        await expect(process.start({}, false, { signal: abortController.signal })).rejects.toHaveProperty('isCancelled', true);
+
+        expect(getBar.process).not.toHaveBeenCalled();
+    });
+
+    describe('Limiter', () => {
+        it('should resolve and reject with each task result', async () => {
+            const limit = createLimiter(1);
+
+            await expect(limit(() => 'ok')).resolves.toEqual('ok');
+            await expect(limit(() => { throw Error('Nope') })).rejects.toThrow('Nope');
+            await expect(limit(async () => 'still ok')).resolves.toEqual('still ok');
+        });
+    });
+});
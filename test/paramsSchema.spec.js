@@ -0,0 +1,159 @@
+const { compose, Errors } = require('../src/processor');
+const { validate, checkSchema, Errors: SchemaErrors } = require('../src/schema');
+const { mockProcessor, HttpResponse, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Params Schema', () => {
+    const paramsSchema = {
+        type: 'object',
+        required: ['orderId'],
+        properties: {
+            orderId: { type: 'integer', minimum: 1 },
+            expand: { type: 'boolean', default: false },
+            status: { type: 'string', enum: ['open', 'closed'] },
+            tags: { type: 'array', items: { type: 'string' } },
+        },
+    };
+
+    beforeEach(enableErrorLogging);
+
+    const getOrder = () => mockProcessor('getOrder', {
+        process: async (data, context) => {
+            data.params = context.params;
+        },
+    });
+
+    it('should coerce params and fill in defaults before the first step', async () => {
+        const process = compose('Params Ok', { paramsSchema, processors: [getOrder()] });
+
+        const { data } = await process.start({ params: { orderId: '42', tags: 'rush', other: 'kept' } });
+
+        expect(data.params).toEqual({ orderId: 42, expand: false, tags: ['rush'], other: 'kept' });
+    });
+
+    it('should fail with a 400 ProcessorError listing each field that failed, without running any steps', async () => {
+        const processor = getOrder();
+        const process = compose('Params Invalid', { paramsSchema, processors: [processor] });
+
+        let actualEx = null;
+        try {
+            await process.start({ params: { orderId: 'abc', status: 'lost', tags: ['a', {}] } }, true);
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx.isProcessError).toBe(true);
+        const [errInfo] = actualEx.errorsFromProcessors;
+        expect(errInfo.occurredIn).toEqual('paramsSchema');
+        expect(errInfo.ex.message).toEqual(Errors.ParamsInvalid('Params Invalid'));
+        expect(errInfo.ex.responseInfo.statusCode).toEqual(400);
+        expect(errInfo.ex.responseInfo.errors).toEqual([
+            { field: 'orderId', message: SchemaErrors.WrongType('integer') },
+            { field: 'status', message: SchemaErrors.NotInEnum(['open', 'closed']) },
+            { field: 'tags[1]', message: SchemaErrors.WrongType('string') },
+        ]);
+        expect(processor.process).not.toHaveBeenCalled();
+    });
+
+    it('should treat missing params as an empty object', async () => {
+        const process = compose('Params Missing', { paramsSchema, processors: [getOrder()] });
+        const res = new HttpResponse();
+
+        await process.send(res, {});
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send.mock.calls[0][0].errors).toEqual([{ field: 'orderId', message: SchemaErrors.Required() }]);
+    });
+
+    it('should validate params coming from HTTP requests', async () => {
+        const process = compose('Params HTTP', { paramsSchema, processors: [getOrder()] });
+        const res = new HttpResponse();
+
+        await process.use()({ query: { expand: 'true' }, params: { orderId: '7' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send.mock.calls[0][0].data.params).toEqual({ orderId: 7, expand: true });
+    });
+
+    it('should be invalid with a schema it cannot validate with', async () => {
+        disableErrorLogging();
+        const process = compose('Params Bad Schema', {
+            paramsSchema: { type: 'object', properties: { id: { type: 'int' }, name: { pattern: '(' } } },
+        });
+
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx.isInvalidProcessError).toBe(true);
+        expect(actualEx.details.configurationErrors).toEqual([
+            SchemaErrors.InvalidType('paramsSchema.properties.id', 'int'),
+            SchemaErrors.PatternInvalid('paramsSchema.properties.name', '('),
+        ]);
+    });
+
+    describe('validate', () => {
+        it('should not change the given value', () => {
+            const value = { orderId: '1' };
+
+            validate(paramsSchema, value, { coerce: true });
+
+            expect(value).toEqual({ orderId: '1' });
+        });
+
+        it('should check string, number, and array limits', () => {
+            const schema = {
+                type: 'object',
+                properties: {
+                    code: { type: 'string', minLength: 2, maxLength: 3, pattern: '^[A-Z]+$' },
+                    qty: { type: 'number', maximum: 10 },
+                    lines: { type: 'array', minItems: 1 },
+                },
+            };
+
+            const { errors } = validate(schema, { code: 'abcd', qty: 11, lines: [] });
+
+            expect(errors).toEqual([
+                { field: 'code', message: SchemaErrors.TooLong(3) },
+                { field: 'code', message: SchemaErrors.PatternMismatch('^[A-Z]+$') },
+                { field: 'qty', message: SchemaErrors.AboveMaximum(10) },
+                { field: 'lines', message: SchemaErrors.TooFewItems(1) },
+            ]);
+        });
+
+        it('should validate nested objects and additional properties', () => {
+            const schema = {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    address: { type: 'object', required: ['zip'], properties: { zip: { type: 'string' } } },
+                },
+            };
+
+            expect(validate(schema, { address: {}, extra: 1 }).errors).toEqual([
+                { field: 'address.zip', message: SchemaErrors.Required() },
+                { field: 'extra', message: SchemaErrors.NotAllowed() },
+            ]);
+            expect(validate(schema, { address: { zip: '1', city: 'x' }, extra: 1 }, { removeAdditional: true })).toEqual({
+                value: { address: { zip: '1' } },
+                errors: [],
+            });
+        });
+
+        it('should not coerce unless asked', () => {
+            expect(validate({ type: 'integer' }, '5').errors).toEqual([{ field: '', message: SchemaErrors.WrongType('integer') }]);
+        });
+
+        it('should report problems with schemas', () => {
+            expect(checkSchema({ type: 'object', required: 'id', enum: 'a', minimum: '1', additionalProperties: 'no' })).toEqual([
+                SchemaErrors.RequiredNotStrings('schema'),
+                SchemaErrors.EnumNotArray('schema'),
+                SchemaErrors.KeywordNotNumber('schema', 'minimum'),
+                SchemaErrors.AdditionalPropertiesNotBoolean('schema'),
+            ]);
+            expect(checkSchema('object')).toEqual([SchemaErrors.SchemaNotObject('schema')]);
+        });
+    });
+});
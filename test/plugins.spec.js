@@ -0,0 +1,212 @@
+const { compose, parallel, ProcessorError, Errors } = require('../src/processor');
+const { registerPlugin, deregisterPlugin, Errors: PluginErrors } = require('../src/plugins');
+const { mockProcessor, processors: p, HttpResponse, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Plugins', () => {
+    beforeEach(enableErrorLogging);
+
+    /** Gets a plugin that records each hook call (by hook and processor name) in the given list. */
+    const getRecorder = (calls, name = 'recorder') => ({
+        name,
+        beforeProcess: jest.fn(() => calls.push('beforeProcess')),
+        beforeProcessor: jest.fn(({ processorName }) => calls.push(`beforeProcessor:${processorName}`)),
+        afterProcessor: jest.fn(({ processorName }) => calls.push(`afterProcessor:${processorName}`)),
+        onProcessorError: jest.fn(({ processorName }) => { calls.push(`onProcessorError:${processorName}`); }),
+        onProcessorSkipped: jest.fn(({ processorName }) => calls.push(`onProcessorSkipped:${processorName}`)),
+        afterProcess: jest.fn(({ error }) => calls.push(`afterProcess:${error ? 'failed' : 'ok'}`)),
+    });
+
+    it('should call each hook around the process and its processors', async () => {
+        const calls = [];
+        const process = compose('Plugin Hooks', {
+            plugins: [getRecorder(calls)],
+            processors: [
+                p.getFoo(),
+                p.getBar({ runIf: () => false }),
+                p.doFoo({ process: async () => { throw Error('Foo failed'); } }),
+            ],
+        });
+        disableErrorLogging();
+
+        await process.start({}, true);
+
+        expect(calls).toEqual([
+            'beforeProcess',
+            'beforeProcessor:getFoo',
+            'afterProcessor:getFoo',
+            'onProcessorSkipped:getBar',
+            'beforeProcessor:doFoo',
+            'onProcessorError:doFoo',
+            'afterProcess:ok',
+        ]);
+    });
+
+    it('should let hooks change data and context', async () => {
+        const plugin = {
+            name: 'auth',
+            beforeProcess: ({ context }) => { context.user = { id: 1 }; },
+            afterProcessor: ({ processorName, data }) => { data.audit = [...(data.audit || []), processorName]; },
+        };
+        const process = compose('Plugin State', {
+            plugins: [plugin],
+            processors: [
+                mockProcessor('getFoo', { process: async (data, context) => { data.userId = context.user.id; } }),
+                parallel(p.getBar(), p.getBaz()),
+            ],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.userId).toEqual(1);
+        expect(data.audit).toEqual(['getFoo', 'getBar', 'getBaz']);
+    });
+
+    it('should let onProcessorError replace the error', async () => {
+        disableErrorLogging();
+        const plugin = {
+            name: 'errorMapper',
+            onProcessorError: ({ error }) => error.code === 'NOT_FOUND' ? new ProcessorError('Not found.', { statusCode: 404 }) : undefined,
+        };
+        const process = compose('Plugin Error', {
+            plugins: [plugin],
+            processors: [
+                mockProcessor('getFoo', {
+                    process: async () => {
+                        throw Object.assign(Error('No rows'), { code: 'NOT_FOUND' });
+                    },
+                }),
+            ],
+        });
+        const res = new HttpResponse();
+
+        await process.send(res, {});
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.send.mock.calls[0][0].message).toEqual('Not found.');
+    });
+
+    it('should run processors the same way with or without plugins', async () => {
+        disableErrorLogging();
+        const getRun = async (plugins) => {
+            let calls = 0;
+            const process = compose('Plugin Same Run', { plugins, runIfMode: 'require' });
+            process.register('flaky', async () => {
+                if (++calls < 2) { throw Error('Try again'); }
+            }, { retry: { attempts: 3, delay: 1 } });
+            process.register('required', async () => { }, { runIf: () => false, requireStatusCode: 404 });
+
+            const { errors, execution } = await process.start({}, true);
+            return { errors: errors.map(err => [err.occurredIn, err.ex.responseInfo.statusCode]), attempts: execution.processors[0].attempts };
+        }
+        const afterProcessor = jest.fn();
+
+        const withoutPlugins = await getRun([]);
+        const withPlugins = await getRun([{ name: 'watcher', afterProcessor }]);
+
+        expect(withPlugins).toEqual(withoutPlugins);
+        expect(withPlugins).toEqual({ errors: [['required', 404]], attempts: 2 });
+        expect(afterProcessor).toHaveBeenCalledWith(expect.objectContaining({ processorName: 'flaky', attempts: 2 }));
+    });
+
+    it('should call onProcessorSkipped with the reason, including for failed prerequisites', async () => {
+        disableErrorLogging();
+        const onProcessorSkipped = jest.fn();
+        const process = compose('Plugin Skips', {
+            plugins: [{ name: 'auditor', onProcessorSkipped }],
+            processors: [
+                p.getFoo({ process: async () => { throw Error('Foo failed'); } }),
+                p.getBar({ runIf: () => false }),
+                p.getBaz({ prerequisites: ['getFoo'] }),
+            ],
+        });
+
+        await process.start({}, true);
+
+        expect(onProcessorSkipped.mock.calls.map(([info]) => [info.processorName, info.reason, info.prerequisite])).toEqual([
+            ['getBar', 'runIf', undefined],
+            ['getBaz', 'prerequisite', 'getFoo'],
+        ]);
+    });
+
+    it('should stop the run if beforeProcess throws', async () => {
+        const processor = p.getFoo();
+        const afterProcess = jest.fn();
+        const process = compose('Plugin Stop', {
+            plugins: [{
+                name: 'auth',
+                beforeProcess: () => { throw new ProcessorError('Not signed in.', { statusCode: 401 }); },
+                afterProcess,
+            }],
+            processors: [processor],
+        });
+
+        let actualEx = null;
+        try {
+            await process.start({}, true);
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx.isProcessError).toBe(true);
+        expect(actualEx.errorsFromProcessors[0].occurredIn).toEqual('auth.beforeProcess');
+        expect(actualEx.getMostSevereProcessorError().responseInfo.statusCode).toEqual(401);
+        expect(processor.process).not.toHaveBeenCalled();
+        expect(afterProcess).toHaveBeenCalledWith(expect.objectContaining({ error: actualEx }));
+    });
+
+    it('should only log afterProcess failures', async () => {
+        disableErrorLogging();
+        const process = compose('Plugin After Fails', {
+            plugins: [{ name: 'audit', afterProcess: () => { throw Error('Audit down'); } }],
+            processors: [p.getFoo()],
+        });
+
+        const { errors } = await process.start({});
+
+        expect(errors.length).toEqual(0);
+    });
+
+    it('should run global plugins before process plugins, even if registered after compose', async () => {
+        const calls = [];
+        const process = compose('Plugin Global', {
+            plugins: [{ name: 'local', beforeProcess: () => calls.push('local') }],
+            processors: [p.getFoo()],
+        });
+        const globalPlugin = { name: 'global', beforeProcess: () => calls.push('global') };
+        registerPlugin(globalPlugin);
+
+        try {
+            await process.start({});
+        } finally {
+            deregisterPlugin(globalPlugin);
+        }
+        await process.start({});
+
+        expect(calls).toEqual(['global', 'local', 'local']);
+    });
+
+    it('should be invalid with invalid plugins', async () => {
+        disableErrorLogging();
+        const process = compose('Plugin Invalid', { plugins: [{ name: 'bad', beforeProcess: true }, 'plugin'] });
+
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx.details.configurationErrors).toEqual([
+            PluginErrors.HookNotFunction('bad', 'beforeProcess'),
+            PluginErrors.PluginNotObject('plugin'),
+        ]);
+        expect(() => registerPlugin({ beforeProcess: () => {} })).toThrow(PluginErrors.PluginNameNotString({}));
+    });
+
+    it('should be invalid if plugins is not a list', async () => {
+        disableErrorLogging();
+        const process = compose('Plugins Not Array', { plugins: { name: 'one' } });
+
+        await expect(process.start({})).rejects.toHaveProperty('details.configurationErrors', [Errors.PluginsNotArray({ name: 'one' })]);
+    });
+});
@@ -0,0 +1,184 @@
+const { compose, parallel, race, Errors } = require('../src/processor');
+const { mockProcessor, processors: p, processorNames: n, disableErrorLogging, enableErrorLogging, sleep, itIfAbortable } = require('./utils');
+
+describe('Race Groups', () => {
+    beforeEach(enableErrorLogging);
+
+    const getStore = (name, ms, value) => mockProcessor(name, {
+        process: async (data, context) => {
+            await sleep(ms);
+            data.record = value;
+            context.answeredBy = name;
+            data.cookies[name] = 'set';
+        },
+    });
+
+    it('should keep only the changes from the first processor to succeed', async () => {
+        const process = compose('Race', {
+            processors: [
+                race(
+                    getStore('primary', 20, 'fromPrimary'),
+                    getStore('replica', 1, 'fromReplica'),
+                ),
+            ],
+        });
+
+        const { data, context } = await process.start({});
+        await sleep(30); // give the loser time to finish, to prove it does not change anything
+
+        expect(data.record).toEqual('fromReplica');
+        expect(context.answeredBy).toEqual('replica');
+        expect(data.cookies).toEqual({ replica: 'set' });
+    });
+
+    it('should not let losers change nested objects', async () => {
+        const setSource = (name, ms) => mockProcessor(name, {
+            process: async (data) => {
+                await sleep(ms);
+                data.order.source = name;
+            },
+        });
+        const process = compose('Race Nested', {
+            processors: [
+                mockProcessor('getOrder', { process: async (data) => { data.order = { id: 1 }; } }),
+                race(setSource('primary', 20), setSource('replica', 1)),
+            ],
+        });
+
+        const { data } = await process.start({});
+        await sleep(30); // give the loser time to finish, to prove it does not change anything
+
+        expect(data.order).toEqual({ id: 1, source: 'replica' });
+    });
+
+    it('should ignore failures as long as one processor succeeds', async () => {
+        const process = compose('Race With Failure', {
+            processors: [
+                race(
+                    mockProcessor('primary', { process: () => { throw Error('Primary down') } }),
+                    getStore('replica', 5, 'fromReplica'),
+                ),
+            ],
+        });
+
+        const { data, errors } = await process.start({});
+
+        expect(errors.length).toEqual(0);
+        expect(data.record).toEqual('fromReplica');
+    });
+
+    it('should report every error if no processor succeeds', async () => {
+        disableErrorLogging();
+        const process = compose('Race All Fail', {
+            processors: [
+                race(
+                    mockProcessor('primary', { process: () => { throw Error('Primary down') } }),
+                    mockProcessor('replica', { process: () => { throw Error('Replica down') } }),
+                ),
+            ],
+        });
+
+        const { errors } = await process.start({}, true);
+
+        expect(errors.map(err => err.occurredIn).sort()).toEqual(['primary', 'replica']);
+    });
+
+    it('should not let a processor skipped by runIf win', async () => {
+        const process = compose('Race Skipped', {
+            processors: [
+                race(
+                    mockProcessor('primary', { runIf: () => false }),
+                    getStore('replica', 5, 'fromReplica'),
+                ),
+            ],
+        });
+
+        const { data, execution } = await process.start({});
+
+        expect(data.record).toEqual('fromReplica');
+        expect(execution.processors.find(entry => entry.name === 'primary').status).toEqual('skipped-runIf');
+    });
+
+    it('should record skipped processors when no processor wins', async () => {
+        disableErrorLogging();
+        const process = compose('Race Skipped No Winner', {
+            processors: [
+                race(
+                    mockProcessor('primary', { runIf: () => false }),
+                    mockProcessor('replica', { process: async () => { throw Error('Replica down'); } }),
+                ),
+            ],
+        });
+
+        const { errors, execution } = await process.start({}, true);
+
+        expect(errors.map(err => err.occurredIn)).toEqual(['replica']);
+        expect(execution.processors.map(entry => [entry.name, entry.status])).toEqual([['primary', 'skipped-runIf'], ['replica', 'failed']]);
+    });
+
+    itIfAbortable('should abort the signal given to losing processors', async () => {
+        let loserSignal;
+        const process = compose('Race Abort', {
+            processors: [
+                race(
+                    mockProcessor('slow', {
+                        process: async (data, context) => {
+                            loserSignal = context.signal;
+                            await sleep(20);
+                        },
+                    }),
+                    getStore('fast', 1, 'fast'),
+                ),
+            ],
+        });
+
+        const { context } = await process.start({});
+
+        expect(loserSignal).toBeTruthy();
+        expect(loserSignal.aborted).toBe(true);
+        expect(context.signal.aborted).toBe(false); // the run's own signal, not the aborted signal from the race
+    });
+
+    it('should throw if given grouped steps', () => {
+        expect(() => race(parallel('getFoo', 'getBar'), 'getBaz')).toThrow(Errors.RaceEntryNotProcessor());
+    });
+
+    describe('Prerequisites', () => {
+        const getConfigError = async (process) => {
+            try {
+                await process.start({});
+            } catch (ex) {
+                return ex.details.configurationErrors[0];
+            }
+            return null;
+        }
+
+        it('should not let racers rely on each other, nor later steps rely on racers', async () => {
+            const inRace = compose('Race Prereq Inside', {
+                processors: [race(p.getFoo(), p.getBar({ prerequisites: [n.getFoo] }))],
+            });
+            expect((await getConfigError(inRace)).processorName).toEqual(n.getBar);
+
+            const afterRace = compose('Race Prereq After', {
+                processors: [race(p.getFoo(), p.getBar()), p.doFoo({ prerequisites: [n.getFoo] })],
+            });
+            expect((await getConfigError(afterRace)).processorName).toEqual(n.doFoo);
+        });
+
+        it('should let racers rely on earlier steps', async () => {
+            const process = compose('Race Prereq Before', {
+                processors: [p.getFoo(), race(p.getBar({ prerequisites: [n.getFoo] }), p.getBaz())],
+            });
+
+            expect(await getConfigError(process)).toBeNull();
+        });
+
+        it('should not allow a race inside a parallel group', async () => {
+            const process = compose('Race In Parallel', {
+                processors: [parallel(p.getFoo(), race(p.getBar(), p.getBaz()))],
+            });
+
+            expect((await getConfigError(process)).reason).toEqual(Errors.RaceInParallel());
+        });
+    });
+});
@@ -0,0 +1,155 @@
+const { compose, Errors } = require('../src/processor');
+const { HttpResponse, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Run If Required (Hard Requirements)', () => {
+    const basicProcessor = data => data.foo = 'bar';
+    const laterProcessor = jest.fn(data => data.later = true);
+
+    beforeEach(() => {
+        enableErrorLogging();
+        laterProcessor.mockClear();
+    });
+
+    const getStartError = async (process) => {
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+        return actualEx;
+    }
+
+    it('should fail the process if a required runIf returns false', async () => {
+        const process = compose('Require runIf');
+        process.register('doFoo', basicProcessor, {
+            runIf: () => false,
+            runIfMode: 'require',
+        });
+        process.register('doLater', laterProcessor);
+
+        const ex = await getStartError(process);
+
+        expect(ex.isProcessError).toBe(true);
+        const [errInfo] = ex.errorsFromProcessors;
+        expect(errInfo.occurredIn).toEqual('doFoo');
+        expect(errInfo.ex.isProcessorError).toBe(true);
+        expect(errInfo.ex.message).toEqual(Errors.RequirementNotMet('doFoo', 'runIf'));
+        expect(errInfo.ex.responseInfo.statusCode).toEqual(400);
+        expect(laterProcessor).not.toHaveBeenCalled();
+    });
+
+    it('should run as usual if a required runIf returns true', async () => {
+        const process = compose('Require runIf Met');
+        process.register('doFoo', basicProcessor, {
+            runIf: () => true,
+            runIfMode: 'require',
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.foo).toEqual('bar');
+    });
+
+    it('should name the unmet condition after a named runIf function', async () => {
+        const hasOrder = (data, context) => !!context.order;
+        const process = compose('Require Named');
+        process.register('doFoo', basicProcessor, {
+            runIf: hasOrder,
+            runIfMode: 'require',
+        });
+
+        const ex = await getStartError(process);
+
+        expect(ex.errorsFromProcessors[0].ex.message).toEqual(Errors.RequirementNotMet('doFoo', 'hasOrder'));
+    });
+
+    it('should name the unmet condition after the requireName, for processors exported as modules', async () => {
+        const getProcess = (options) => compose('Require Module', {
+            pipeline: [{
+                name: 'doFoo',
+                runIf(data, context) { return !!context.order; },
+                runIfMode: 'require',
+                process: basicProcessor,
+                ...options,
+            }],
+        });
+
+        const unnamedEx = await getStartError(getProcess());
+        const namedEx = await getStartError(getProcess({ requireName: 'hasOrder' }));
+
+        expect(unnamedEx.errorsFromProcessors[0].ex.message).toEqual(Errors.RequirementNotMet('doFoo', 'runIf'));
+        expect(namedEx.errorsFromProcessors[0].ex.message).toEqual(Errors.RequirementNotMet('doFoo', 'hasOrder'));
+    });
+
+    it('should use the given status code and message', async () => {
+        const process = compose('Require Custom');
+        process.register('doFoo', basicProcessor, {
+            runIf: () => false,
+            runIfMode: 'require',
+            requireStatusCode: 404,
+            requireMessage: (data, context) => `Order ${context.orderId} not found.`,
+        });
+
+        let actualEx = null;
+        try {
+            await process.start({ orderId: 7 });
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        const { ex } = actualEx.errorsFromProcessors[0];
+        expect(ex.message).toEqual('Order 7 not found.');
+        expect(ex.responseInfo.statusCode).toEqual(404);
+    });
+
+    it('should use the process runIfMode and requireStatusCode as defaults', async () => {
+        disableErrorLogging();
+        const process = compose('Require By Default', { runIfMode: 'require', requireStatusCode: 500 });
+        process.register('doFoo', basicProcessor, { runIf: () => false });
+        process.register('doLater', laterProcessor, { runIf: () => false, runIfMode: 'skip' });
+
+        const { errors } = await process.start({}, true);
+
+        expect(errors.map(err => err.occurredIn)).toEqual(['doFoo']);
+        expect(errors[0].ex.responseInfo.statusCode).toEqual(500);
+        expect(laterProcessor).not.toHaveBeenCalled();
+    });
+
+    it('should respond with the requirement error when sent', async () => {
+        const process = compose('Require Send');
+        process.register('doFoo', basicProcessor, {
+            runIf: () => false,
+            runIfMode: 'require',
+            requireMessage: 'Need foo.',
+        });
+        const res = new HttpResponse();
+
+        await process.send(res, {});
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send.mock.calls[0][0].message).toEqual('Need foo.');
+    });
+
+    it('should fail to register with an invalid runIfMode, requireStatusCode, requireMessage, or requireName', () => {
+        const process = compose('Require Invalid');
+
+        expect(() => process.register('doFoo', basicProcessor, { runIfMode: 'maybe' })).toThrow(Errors.InvalidRunIfMode('doFoo', 'maybe'));
+        expect(() => process.register('doFoo', basicProcessor, { requireStatusCode: 200 })).toThrow(Errors.RequireStatusCodeInvalid('doFoo', 200));
+        expect(() => process.register('doFoo', basicProcessor, { requireMessage: 5 })).toThrow();
+        expect(() => process.register('doFoo', basicProcessor, { requireName: '' })).toThrow(Errors.RequireNameInvalid({ requireName: '' }));
+    });
+
+    it('should be invalid with an invalid process runIfMode or requireStatusCode', async () => {
+        disableErrorLogging();
+        const process = compose('Require Invalid Process', { runIfMode: 'maybe', requireStatusCode: 'abc' });
+
+        const ex = await getStartError(process);
+
+        expect(ex.isInvalidProcessError).toBe(true);
+        expect(ex.details.configurationErrors).toEqual([
+            Errors.InvalidRunIfMode('Require Invalid Process', 'maybe'),
+            Errors.RequireStatusCodeInvalid('Require Invalid Process', 'abc'),
+        ]);
+    });
+});
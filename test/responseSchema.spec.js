@@ -0,0 +1,119 @@
+const { compose, Errors } = require('../src/processor');
+const { Errors: SchemaErrors } = require('../src/schema');
+const { mockProcessor, HttpResponse, disableErrorLogging, enableErrorLogging } = require('./utils');
+const { logEmitter } = require('../src/logging');
+
+describe('Response Schema', () => {
+    const responseSchema = {
+        type: 'object',
+        required: ['order'],
+        properties: {
+            order: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    total: { type: 'number' },
+                },
+            },
+        },
+    };
+
+    const getOrder = (order) => mockProcessor('getOrder', {
+        process: async (data) => {
+            data.order = order;
+            data.cookies.session = 'abc';
+        },
+    });
+
+    const errorLogs = jest.fn();
+
+    beforeEach(() => {
+        enableErrorLogging();
+        errorLogs.mockClear();
+        logEmitter.on('error', errorLogs);
+    });
+
+    afterEach(() => {
+        logEmitter.off('error', errorLogs);
+    });
+
+    it('should strip properties not in the schema before sending', async () => {
+        const process = compose('Response Strip', {
+            responseSchema,
+            processors: [getOrder({ id: 1, total: 9.5, passwordHash: 'xyz' })],
+        });
+        const res = new HttpResponse();
+
+        await process.send(res, {});
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send.mock.calls[0][0].data).toEqual({ order: { id: 1, total: 9.5 } });
+        expect(res.cookie).toHaveBeenCalledWith('session', 'abc', undefined);
+    });
+
+    it('should fail with a 500 and log what did not match when data does not fit the schema', async () => {
+        disableErrorLogging();
+        const process = compose('Response Mismatch', {
+            responseSchema,
+            processors: [getOrder({ id: 'one' })],
+        });
+        const res = new HttpResponse();
+
+        await process.send(res, {});
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send.mock.calls[0][0].message).toEqual(Errors.UnexpectedResponse());
+        expect(res.send.mock.calls[0][0].errors).toBeUndefined();
+        expect(res.cookie).not.toHaveBeenCalled();
+
+        const [loggedEx] = errorLogs.mock.calls[0];
+        const [errInfo] = loggedEx.errorsFromProcessors;
+        expect(errInfo.occurredIn).toEqual('responseSchema');
+        expect(errInfo.ex.schemaErrors).toEqual([{ field: 'order.id', message: SchemaErrors.WrongType('integer') }]);
+        expect(errInfo.message).toEqual(Errors.ResponseInvalid('Response Mismatch', errInfo.ex.schemaErrors));
+    });
+
+    it('should fail on extra properties in fail mode', async () => {
+        disableErrorLogging();
+        const process = compose('Response Fail Mode', {
+            responseSchema,
+            responseSchemaMode: 'fail',
+            processors: [getOrder({ id: 1, passwordHash: 'xyz' })],
+        });
+        const res = new HttpResponse();
+
+        await process.send(res, {});
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        const [loggedEx] = errorLogs.mock.calls[0];
+        expect(loggedEx.errorsFromProcessors[0].ex.schemaErrors).toEqual([{ field: 'order.passwordHash', message: SchemaErrors.NotAllowed() }]);
+    });
+
+    it('should not check data returned from start', async () => {
+        const process = compose('Response Start', {
+            responseSchema,
+            processors: [getOrder({ id: 1, passwordHash: 'xyz' })],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.order.passwordHash).toEqual('xyz');
+    });
+
+    it('should be invalid with a bad schema or mode', async () => {
+        disableErrorLogging();
+        const process = compose('Response Invalid', { responseSchema: { type: 'thing' }, responseSchemaMode: 'ignore' });
+
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx.details.configurationErrors).toEqual([
+            SchemaErrors.InvalidType('responseSchema', 'thing'),
+            Errors.InvalidResponseSchemaMode('ignore'),
+        ]);
+    });
+});
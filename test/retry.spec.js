@@ -0,0 +1,209 @@
+const { compose } = require('../src/processor');
+const { ProcessorError } = require('../src/errors');
+const { createRetryPolicy, getRetryDelay } = require('../src/retry');
+const { disableErrorLogging, enableErrorLogging, sleep, itIfAbortable } = require('./utils');
+
+describe('Retry Policies', () => {
+    beforeEach(enableErrorLogging);
+
+    /** Gets a processor func that throws the given error the first failCount times it is called. */
+    const getFlakyProcessor = (failCount, getError = () => Error('Flaky')) => {
+        let calls = 0;
+        return jest.fn(async (data) => {
+            calls++;
+            if (calls <= failCount) {
+                throw getError();
+            }
+            data.calls = calls;
+        });
+    }
+
+    it('should re-run a failing processor until it succeeds', async () => {
+        const flaky = getFlakyProcessor(2);
+        const process = compose('Retry Until Success');
+        process.register('flaky', flaky, { retry: { attempts: 3, delay: 1 } });
+
+        const { data, errors } = await process.start({});
+
+        expect(errors.length).toEqual(0);
+        expect(flaky).toHaveBeenCalledTimes(3);
+        expect(data.calls).toEqual(3);
+    });
+
+    it('should record the failure with its attempts once attempts are used up', async () => {
+        disableErrorLogging();
+        const flaky = getFlakyProcessor(5);
+        const process = compose('Retry Exhausted');
+        process.register('flaky', flaky, { retry: { attempts: 3, delay: 1 } });
+
+        const { errors } = await process.start({}, true);
+
+        expect(flaky).toHaveBeenCalledTimes(3);
+        expect(errors.length).toEqual(1);
+        expect(errors[0].occurredIn).toEqual('flaky');
+        expect(errors[0].attempts).toEqual(3);
+    });
+
+    it('should not retry ProcessorErrors with client status codes by default', async () => {
+        const flaky = getFlakyProcessor(1, () => new ProcessorError('Bad input', { statusCode: 400 }));
+        const process = compose('Retry Client Error');
+        process.register('flaky', flaky, { retry: { attempts: 3, delay: 1 } });
+
+        const { errors } = await process.start({}, true);
+
+        expect(flaky).toHaveBeenCalledTimes(1);
+        expect(errors.length).toEqual(1);
+    });
+
+    it('should only retry errors that retryIf says are retryable', async () => {
+        const retryIf = jest.fn(ex => ex.message === 'Retryable');
+        let calls = 0;
+        const process = compose('Retry If');
+        process.register('flaky', () => {
+            calls++;
+            throw Error(calls === 1 ? 'Retryable' : 'Fatal');
+        }, { retry: { attempts: 5, delay: 1, retryIf } });
+
+        const { errors } = await process.start({}, true);
+
+        expect(calls).toEqual(2);
+        expect(retryIf).toHaveBeenCalledWith(expect.any(Error), 1);
+        expect(errors[0].message).toEqual('Fatal');
+    });
+
+    it('should retry each attempt that times out', async () => {
+        let calls = 0;
+        const process = compose('Retry Timeout');
+        process.register('slowThenFast', async (data) => {
+            calls++;
+            if (calls === 1) {
+                await sleep(50);
+            }
+            data.done = true;
+        }, { timeout: 10, retry: { attempts: 2, delay: 1 } });
+
+        const { data, errors } = await process.start({});
+
+        expect(errors.length).toEqual(0);
+        expect(calls).toEqual(2);
+        expect(data.done).toBe(true);
+    });
+
+    it('should keep only the changes from the attempt that succeeds when an earlier one timed out', async () => {
+        let calls = 0;
+        const process = compose('Retry Timeout Isolated');
+        process.register('slowThenFast', async (data, context) => {
+            const attempt = ++calls;
+            data.attempts = [...(data.attempts || []), attempt];
+            if (attempt === 1) {
+                await sleep(30);
+            }
+            data.value = attempt;
+            context.value = attempt;
+        }, { timeout: 10, retry: { attempts: 2, delay: 1 } });
+
+        const { data, context } = await process.start({});
+        await sleep(40); // let the timed-out attempt finish, to prove it does not change anything
+
+        expect(data.value).toEqual(2);
+        expect(data.attempts).toEqual([2]);
+        expect(context.value).toEqual(2);
+    });
+
+    itIfAbortable('should abort the signal of an attempt that timed out', async () => {
+        const signals = [];
+        const process = compose('Retry Timeout Signal');
+        process.register('slowThenFast', async (data, context) => {
+            signals.push(context.signal);
+            if (signals.length === 1) {
+                await sleep(30);
+            }
+        }, { timeout: 10, retry: { attempts: 2, delay: 1 } });
+
+        const { context } = await process.start({});
+
+        expect(signals.map(signal => signal.aborted)).toEqual([true, false]);
+        expect(context.signal).not.toBe(signals[1]); // the run keeps its own signal
+    });
+
+    itIfAbortable('should stop retrying once the run is past its deadline', async () => {
+        disableErrorLogging();
+        const flaky = getFlakyProcessor(5);
+        const process = compose('Retry Deadline', { deadline: 20 });
+        process.register('flaky', flaky, { retry: { attempts: 5, delay: 15 } });
+
+        await expect(process.start({})).rejects.toHaveProperty('isDeadlineExceeded', true);
+        await sleep(60); // long enough for the rest of the attempts, if they were still coming
+
+        expect(flaky).toHaveBeenCalledTimes(2);
+    });
+
+    itIfAbortable('should stop waiting to retry when the run is cancelled', async () => {
+        disableErrorLogging();
+        const abortController = new AbortController();
+        const flaky = getFlakyProcessor(5);
+        const process = compose('Retry Cancel');
+        process.register('flaky', flaky, { retry: { attempts: 3, delay: 1000 } });
+
+        const startedAt = Date.now();
+        const running = process.start({}, false, { signal: abortController.signal });
+        await sleep(5);
+        abortController.abort();
+
+        await expect(running).rejects.toHaveProperty('isProcessError', true);
+        expect(Date.now() - startedAt).toBeLessThan(500);
+        expect(flaky).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject invalid retry policies on register', () => {
+        const process = compose('Invalid Retry');
+
+        expect(() => process.register('foo', () => { }, { retry: 3 }), 'not object').toThrow();
+        expect(() => process.register('foo', () => { }, { retry: { attempts: 0 } }), 'attempts').toThrow();
+        expect(() => process.register('foo', () => { }, { retry: { backoff: 'sometimes' } }), 'backoff').toThrow();
+        expect(() => process.register('foo', () => { }, { retry: { delay: -1 } }), 'delay').toThrow();
+        expect(() => process.register('foo', () => { }, { retry: { jitter: 2 } }), 'jitter').toThrow();
+        expect(() => process.register('foo', () => { }, { retry: { retryIf: true } }), 'retryIf').toThrow();
+    });
+
+    describe('Backoff', () => {
+        it('should use the same delay for fixed backoff', () => {
+            const policy = createRetryPolicy({ attempts: 4, backoff: 'fixed', delay: 10 });
+
+            expect(getRetryDelay(policy, 2)).toEqual(10);
+            expect(getRetryDelay(policy, 4)).toEqual(10);
+        });
+
+        it('should grow the delay by the base delay for linear backoff', () => {
+            const policy = createRetryPolicy({ attempts: 4, backoff: 'linear', delay: 10 });
+
+            expect(getRetryDelay(policy, 2)).toEqual(10);
+            expect(getRetryDelay(policy, 3)).toEqual(20);
+            expect(getRetryDelay(policy, 4)).toEqual(30);
+        });
+
+        it('should double the delay for exponential backoff', () => {
+            const policy = createRetryPolicy({ attempts: 4, backoff: 'exponential', delay: 10 });
+
+            expect(getRetryDelay(policy, 2)).toEqual(10);
+            expect(getRetryDelay(policy, 3)).toEqual(20);
+            expect(getRetryDelay(policy, 4)).toEqual(40);
+        });
+
+        it('should use the delay from a custom backoff function', () => {
+            const policy = createRetryPolicy({ attempts: 3, backoff: attempt => attempt * 7 });
+
+            expect(getRetryDelay(policy, 3)).toEqual(21);
+        });
+
+        it('should keep jittered delays within the base delay', () => {
+            const policy = createRetryPolicy({ attempts: 3, delay: 100, jitter: 0.5 });
+
+            for (let i = 0; i < 20; i++) {
+                const delay = getRetryDelay(policy, 2);
+                expect(delay).toBeGreaterThanOrEqual(50);
+                expect(delay).toBeLessThanOrEqual(100);
+            }
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const path = require('path');
+const { compose, Errors } = require('../src/processor');
+const { disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Scheduling by Prerequisites', () => {
+    const processorsPath = path.join(__dirname, './scheduling');
+    const cyclePath = path.join(__dirname, './schedulingCycle');
+
+    beforeEach(enableErrorLogging);
+
+    const getConfigErrors = async (process) => {
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+        return actualEx && actualEx.details.configurationErrors;
+    }
+
+    it('should run each processor in the level after its prerequisites', async () => {
+        const process = compose('Scheduled', { processorsPath, schedule: 'prerequisites' });
+
+        const { data, errors } = await process.start({});
+
+        expect(errors.length).toEqual(0);
+        expect(data.ran).toEqual(['getConfig', 'getUser', 'getOrders', 'getPrefs', 'summarize']);
+    });
+
+    it('should still run all modules as one parallel group by default', async () => {
+        disableErrorLogging();
+        const process = compose('Not Scheduled', { processorsPath });
+
+        const configErrors = await getConfigErrors(process);
+
+        // since they run all at once, prerequisites cannot be satisfied
+        expect(configErrors.map(err => err.processorName)).toEqual(['getOrders', 'getPrefs', 'summarize']);
+    });
+
+    it('should ignore the schedule when given a pipeline', async () => {
+        const process = compose('Scheduled Pipeline', {
+            processorsPath,
+            schedule: 'prerequisites',
+            pipeline: ['getUser', 'getConfig'],
+        });
+
+        const { data } = await process.start({});
+
+        expect(data.ran).toEqual(['getUser', 'getConfig']);
+    });
+
+    it('should reject prerequisite cycles, including processors that depend on them', async () => {
+        disableErrorLogging();
+        const process = compose('Scheduled Cycle', { processorsPath: cyclePath, schedule: 'prerequisites' });
+
+        const configErrors = await getConfigErrors(process);
+
+        const expectedReason = Errors.PrerequisiteCycle(['getA', 'getB', 'getC']);
+        expect(configErrors).toEqual([
+            { processorName: 'getA', reason: expectedReason },
+            { processorName: 'getB', reason: expectedReason },
+            { processorName: 'getC', reason: expectedReason },
+        ]);
+    });
+
+    it('should reject an unknown schedule', async () => {
+        disableErrorLogging();
+        const process = compose('Bad Schedule', { processorsPath, schedule: 'whenever' });
+
+        const configErrors = await getConfigErrors(process);
+
+        expect(configErrors).toContain(Errors.InvalidSchedule('whenever'));
+    });
+});
@@ -0,0 +1,9 @@
+module.exports = {
+    prerequisites: ['getUser'],
+
+    process: async (data, context) => {
+        data.ran = [...(data.ran || []), 'getPrefs'];
+
+        return { data, context };
+    }
+}
@@ -0,0 +1,9 @@
+module.exports = {
+    prerequisites: ['getOrders', 'getPrefs'],
+
+    process: async (data, context) => {
+        data.ran = [...(data.ran || []), 'summarize'];
+
+        return { data, context };
+    }
+}
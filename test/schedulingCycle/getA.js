@@ -0,0 +1,9 @@
+module.exports = {
+    prerequisites: ['getB'],
+
+    process: async (data, context) => {
+        data.ran = [...(data.ran || []), 'getA'];
+
+        return { data, context };
+    }
+}
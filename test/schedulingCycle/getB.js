@@ -0,0 +1,9 @@
+module.exports = {
+    prerequisites: ['getA'],
+
+    process: async (data, context) => {
+        data.ran = [...(data.ran || []), 'getB'];
+
+        return { data, context };
+    }
+}
@@ -0,0 +1,7 @@
+module.exports = {
+    process: async (data, context) => {
+        data.ran = [...(data.ran || []), 'getD'];
+
+        return { data, context };
+    }
+}
@@ -0,0 +1,101 @@
+const { compose, Errors } = require('../src/processor');
+const { HttpResponse, disableErrorLogging, enableErrorLogging, mockProcessor, sleep } = require('./utils');
+const { getErrorContent } = require('../src/response');
+
+describe('Processor Timeouts', () => {
+    beforeEach(enableErrorLogging);
+
+    it('should fail a processor that takes longer than its timeout with a 504 ProcessorError', async () => {
+        const process = compose('Processor Timeout');
+        process.register('slow', async (data) => {
+            await sleep(50);
+            data.slow = true;
+        }, { timeout: 5 });
+
+        let actualEx = null;
+        try {
+            await process.start({});
+        } catch (ex) {
+            actualEx = ex;
+        }
+
+        expect(actualEx).toBeTruthy();
+        expect(actualEx.isProcessError).toBe(true);
+        const processorError = actualEx.getMostSevereProcessorError();
+        expect(processorError.isTimeout).toBe(true);
+        expect(processorError.message).toEqual(Errors.ProcessorTimedOut('slow', 5));
+        expect(processorError.responseInfo.statusCode).toEqual(504);
+        expect(actualEx.errorsFromProcessors[0].occurredIn).toEqual('slow');
+    });
+
+    it('should not fail a processor that finishes within its timeout', async () => {
+        const process = compose('Processor Within Timeout');
+        process.register('quick', async (data) => { data.quick = true; }, { timeout: 50 });
+
+        const { data } = await process.start({});
+
+        expect(data.quick).toBe(true);
+    });
+
+    it('should use processorTimeout from compose as the default for every processor', async () => {
+        const process = compose('Default Timeout', {
+            processorTimeout: 5,
+            processors: [
+                mockProcessor('quick'),
+                mockProcessor('slow', { process: () => sleep(50) }),
+            ],
+        });
+
+        const { errors } = await process.start({}, true);
+
+        expect(errors.length).toEqual(1);
+        expect(errors[0].occurredIn).toEqual('slow');
+        expect(errors[0].ex.isTimeout).toBe(true);
+    });
+
+    it('should let a processor timeout override the process default', async () => {
+        const slow = mockProcessor('slow', { process: () => sleep(20) });
+        slow.timeout = 200;
+        const process = compose('Override Timeout', {
+            processorTimeout: 5,
+            processors: [slow],
+        });
+
+        const { errors } = await process.start({}, true);
+
+        expect(errors.length).toEqual(0);
+    });
+
+    it('should use timeoutStatusCode from compose for timeout errors', async () => {
+        const process = compose('Timeout Status Code', { processorTimeout: 5, timeoutStatusCode: 503 });
+        process.register('slow', () => sleep(50));
+
+        const { errors } = await process.start({}, true);
+
+        expect(errors[0].ex.responseInfo.statusCode).toEqual(503);
+    });
+
+    it('should send timeout status code to response when using send', async () => {
+        disableErrorLogging();
+        const process = compose('Send Timeout');
+        process.register('slow', () => sleep(50), { timeout: 5 });
+        const res = new HttpResponse();
+
+        await process.send(res, {});
+
+        expect(res.status).toBeCalledWith(504);
+        expect(res.send).toBeCalledWith(getErrorContent(Errors.ProcessorTimedOut('slow', 5)));
+    });
+
+    it('should reject invalid timeouts', async () => {
+        const process = compose('Invalid Timeout');
+
+        expect(() => process.register('foo', () => { }, { timeout: 'soon' }), 'string').toThrow();
+        expect(() => process.register('foo', () => { }, { timeout: 0 }), 'zero').toThrow();
+        expect(() => process.register('foo', () => { }, { timeout: -5 }), 'negative').toThrow();
+
+        disableErrorLogging();
+        const invalidProcess = compose('Invalid Default Timeout', { processorTimeout: 'soon' });
+        await expect(invalidProcess.start({})).rejects.toHaveProperty('isInvalidProcessError', true);
+    });
+});
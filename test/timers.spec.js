@@ -0,0 +1,121 @@
+const { traceStart, traceEnd, traceWrite, batchEnd, createRunTracer, onBatchFinished, offBatchFinished } = require('../src/timers');
+const { compose, parallel, each } = require('../src/processor');
+const { processors: p, processorNames: n, sleep, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Trace Timers', () => {
+    let batches;
+    let stopListening;
+
+    beforeEach(() => {
+        enableErrorLogging();
+        batches = [];
+        stopListening = onBatchFinished(batch => batches.push(batch));
+    });
+
+    afterEach(() => stopListening());
+
+    it('should collect finished batches with high-resolution durations', () => {
+        traceStart('one', 'Batch');
+        traceStart('two', 'Batch');
+        traceEnd('one', 'Batch');
+        traceEnd('two', 'Batch');
+
+        const written = traceWrite('Batch');
+
+        expect(batches).toEqual([written]);
+        expect(written).toEqual(expect.objectContaining({ batchName: 'Batch', runId: undefined, startedAt: expect.any(Number) }));
+        expect(Object.keys(written.traces)).toEqual(['one', 'two']);
+        expect(written.traces.one.duration).toEqual(written.traces.one.end - written.traces.one.start);
+        expect(written.totalDuration).toEqual(written.traces.one.duration + written.traces.two.duration);
+    });
+
+    it('should keep batches for different runs apart', () => {
+        const first = createRunTracer('Batch', 'run1');
+        const second = createRunTracer('Batch', 'run2');
+        first.traceStart('step');
+        second.traceStart('step');
+        second.traceStart('other');
+        second.traceEnd('step');
+        second.traceEnd('other');
+        first.traceEnd('step');
+
+        second.traceWrite();
+        first.traceWrite();
+
+        expect(batches.map(batch => batch.runId)).toEqual(['run2', 'run1']);
+        expect(Object.keys(batches[0].traces)).toEqual(['step', 'other']);
+        expect(Object.keys(batches[1].traces)).toEqual(['step']);
+    });
+
+    it('should collect single traces and batches ended with batchEnd', () => {
+        traceStart('single');
+        traceEnd('single');
+        traceStart('item', 'Ended');
+        traceEnd('item', 'Ended');
+        batchEnd('Ended');
+
+        expect(batches.map(batch => Object.keys(batch.traces))).toEqual([['single'], ['item']]);
+    });
+
+    it('should stop collecting once the listener is removed', () => {
+        const listener = jest.fn();
+        onBatchFinished(listener);
+        offBatchFinished(listener);
+
+        traceStart('single');
+        traceEnd('single');
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should give each concurrent run of a process its own batch', async () => {
+        const process = compose('Traced', {
+            processors: [
+                p.getFoo({ process: async (data, context) => { await sleep(context.wait); } }),
+                parallel(p.getBar(), p.getBaz()),
+            ],
+        });
+
+        await Promise.all([
+            process.start({ wait: 20 }, false, { runId: 'slow' }),
+            process.start({ wait: 1 }, false, { runId: 'fast' }),
+        ]);
+
+        const runBatches = batches.filter(batch => batch.batchName === 'Start -> Traced');
+        expect(runBatches.map(batch => batch.runId)).toEqual(['fast', 'slow']);
+        runBatches.forEach(batch => {
+            expect(Object.keys(batch.traces)).toEqual(expect.arrayContaining(['Process Start', n.getFoo, n.getBar, n.getBaz]));
+            expect(batch.totalDuration).toEqual(batch.traces['Process Start'].duration);
+        });
+        expect(runBatches[1].traces[n.getFoo].duration).toBeGreaterThan(runBatches[0].traces[n.getFoo].duration);
+    });
+
+    it('should not end traces for each steps with no items to run', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => { });
+        const process = compose('Traced Each', {
+            processors: [each('context.ids', p.getFoo())],
+        });
+        disableErrorLogging();
+
+        try {
+            await process.start({ ids: [] });
+            await process.start({ ids: null });
+            await process.start({ ids: 'abc' }, true);
+
+            expect(warn).not.toHaveBeenCalled();
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    it('should finish the batch when a run fails', async () => {
+        const process = compose('Traced Failure', {
+            processors: [p.getFoo({ process: async () => { throw Error('nope'); } })],
+        });
+        disableErrorLogging();
+
+        await expect(process.start({}, false, { runId: 'failed' })).rejects.toThrow();
+
+        expect(batches.find(batch => batch.runId === 'failed')).toBeDefined();
+    });
+});
@@ -0,0 +1,123 @@
+const { compose, parallel, ProcessorError } = require('../src/processor');
+const { setTracer, createMemoryTracer, SPAN_ATTRIBUTES: A, SPAN_STATUS_CODES, Errors: TracingErrors } = require('../src/tracing');
+const { processors: p, processorNames: n, disableErrorLogging, enableErrorLogging } = require('./utils');
+
+describe('Span Tracing', () => {
+    let tracer;
+
+    beforeEach(() => {
+        enableErrorLogging();
+        tracer = createMemoryTracer();
+    });
+
+    afterEach(() => setTracer(null));
+
+    const getSpan = name => tracer.spans.find(span => span.name === name);
+
+    it('should make a span for the run and a child span for each processor', async () => {
+        const process = compose('Spans', {
+            tracer,
+            processors: [p.getFoo(), parallel(p.getBar(), p.getBaz())],
+        });
+
+        const { context } = await process.start({});
+
+        const runSpan = getSpan('Spans');
+        expect(runSpan).toEqual(expect.objectContaining({
+            parentSpanId: null,
+            attributes: { [A.PROCESS_NAME]: 'Spans', [A.RUN_ID]: context.runId },
+            status: { code: SPAN_STATUS_CODES.UNSET },
+        }));
+        expect(tracer.spans.map(span => span.name)).toEqual(expect.arrayContaining([n.getFoo, n.getBar, n.getBaz]));
+        [n.getFoo, n.getBar, n.getBaz].forEach(name => expect(getSpan(name).parentSpanId).toEqual(runSpan.spanId));
+        expect(getSpan(n.getFoo).attributes).toEqual({
+            [A.PROCESS_NAME]: 'Spans',
+            [A.RUN_ID]: context.runId,
+            [A.PROCESSOR_NAME]: n.getFoo,
+            [A.ATTEMPTS]: 1,
+        });
+        expect(getSpan(n.getBar).attributes[A.PARALLEL_GROUP]).toEqual(`'Parallel: ["getBar","getBaz"]`);
+        expect(getSpan(n.getFoo).attributes[A.PARALLEL_GROUP]).toBeUndefined();
+    });
+
+    it('should mark skipped processors with the reason', async () => {
+        disableErrorLogging();
+        const process = compose('Skip Spans', {
+            tracer,
+            processors: [
+                p.getFoo({ runIf: () => false }),
+                p.getBar({ process: async () => { throw Error('nope'); } }),
+                p.getBaz({ prerequisites: [n.getBar] }),
+            ],
+        });
+
+        await process.start({}, true);
+
+        expect(getSpan(n.getFoo).attributes[A.SKIP_REASON]).toEqual('runIf');
+        expect(getSpan(n.getBaz).attributes).toEqual(expect.objectContaining({
+            [A.SKIP_REASON]: 'prerequisite',
+            [A.SKIP_PREREQUISITE]: n.getBar,
+        }));
+        expect(getSpan('Skip Spans').status.code).toEqual(SPAN_STATUS_CODES.ERROR);
+    });
+
+    it('should mark failed processors with the error and its status code', async () => {
+        disableErrorLogging();
+        const process = compose('Error Spans', {
+            tracer,
+            processors: [p.getFoo({ process: async () => { throw new ProcessorError('Not here.', { statusCode: 404 }); } })],
+        });
+
+        await expect(process.start({})).rejects.toThrow();
+
+        const span = getSpan(n.getFoo);
+        expect(span.status).toEqual({ code: SPAN_STATUS_CODES.ERROR, message: 'Not here.' });
+        expect(span.attributes[A.STATUS_CODE]).toEqual(404);
+        expect(span.events).toEqual([{ name: 'exception', attributes: { 'exception.type': 'Error', 'exception.message': 'Not here.' } }]);
+        expect(getSpan('Error Spans').status.code).toEqual(SPAN_STATUS_CODES.ERROR);
+    });
+
+    it('should nest the spans of nested processes', async () => {
+        const inner = compose('Inner', { pipeline: [p.getBar()] });
+        const outer = compose('Outer', { pipeline: [p.getFoo(), inner] });
+        setTracer(tracer);
+
+        await outer.start({});
+
+        const innerStep = tracer.spans.find(span => span.name === 'Inner' && span.attributes[A.PROCESSOR_NAME] === 'Inner');
+        const innerRun = tracer.spans.find(span => span.name === 'Inner' && span.parentSpanId === innerStep.spanId);
+        expect(innerStep.parentSpanId).toEqual(getSpan('Outer').spanId);
+        expect(getSpan(n.getBar).parentSpanId).toEqual(innerRun.spanId);
+    });
+
+    it('should use the global tracer, unless the process has its own', async () => {
+        const processTracer = createMemoryTracer();
+        const globalProcess = compose('Global', { processors: [p.getFoo()] });
+        const ownProcess = compose('Own', { tracer: processTracer, processors: [p.getFoo()] });
+        setTracer(tracer);
+
+        await globalProcess.start({});
+        await ownProcess.start({});
+
+        expect(tracer.spans.map(span => span.name)).toEqual([n.getFoo, 'Global']);
+        expect(processTracer.spans.map(span => span.name)).toEqual([n.getFoo, 'Own']);
+    });
+
+    it('should not trace after going back to the no-op tracer', async () => {
+        const process = compose('No Op', { processors: [p.getFoo()] });
+        setTracer(tracer);
+        setTracer(null);
+
+        await process.start({});
+
+        expect(tracer.spans).toEqual([]);
+    });
+
+    it('should error on an invalid tracer', async () => {
+        disableErrorLogging();
+        const process = compose('Bad Tracer', { tracer: {}, processors: [p.getFoo()] });
+
+        await expect(process.start({})).rejects.toThrow();
+        expect(() => setTracer({ startSpan: () => { } })).toThrow(TracingErrors.TracerInvalid({ startSpan: () => { } }));
+    });
+});
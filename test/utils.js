@@ -37,6 +37,11 @@ function sleep(ms) {
     });
 }
 
+/** AbortController is not in older versions of Node (before 15), where runs have no signal to cancel them with, so tests that need it are skipped there. */
+const hasAbortController = typeof AbortController === 'function';
+const itIfAbortable = hasAbortController ? it : it.skip;
+const describeIfAbortable = hasAbortController ? describe : describe.skip;
+
 let enableErrorLogs = true;
 const testErrorLogger = (...args) => enableErrorLogs && console.error(...args);
 
@@ -60,6 +65,8 @@ module.exports = {
     HttpResponse,
     testErrorLogger,
     sleep,
+    itIfAbortable,
+    describeIfAbortable,
     disableErrorLogging: () => enableErrorLogs = false,
     enableErrorLogging: () => enableErrorLogs = true,
 }
\ No newline at end of file